@@ -0,0 +1,76 @@
+import React, { useState } from "react";
+import { login, loginAsGuest, register } from "./api";
+
+export const displayName = (user) => (user ? `${user.name}${user.guest ? "（游客）" : ""}` : "");
+
+// Login / register / guest entry. onAuth receives the { token, user } the server hands out.
+export default function AccountCard({ user, onAuth, onLogout, disabled }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function run(action) {
+    try {
+      setBusy(true);
+      setError("");
+      onAuth(await action());
+      setPassword("");
+    } catch (e) {
+      setError(e.message || "操作失败");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (user) {
+    return (
+      <div className="card cardSection">
+        <div className="cardTitle">账号</div>
+        <div className="formRow accountRow">
+          <span>
+            当前：<b>{displayName(user)}</b>
+          </span>
+          <button className="btn btnGhost" onClick={onLogout} disabled={disabled}>退出登录</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card cardSection">
+      <div className="cardTitle">账号</div>
+      <div className="formRow inputRow">
+        <input
+          className="input"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="用户名 / 游客昵称（可留空）"
+          disabled={disabled || busy}
+        />
+      </div>
+      <div className="formRow inputRow">
+        <input
+          className="input"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="密码（至少 6 位）"
+          disabled={disabled || busy}
+        />
+      </div>
+      <div className="formRow actionsRow">
+        <button className="btn btnPrimary" onClick={() => run(() => login(username, password))} disabled={disabled || busy}>
+          登录
+        </button>
+        <button className="btn" onClick={() => run(() => register(username, password))} disabled={disabled || busy}>
+          注册
+        </button>
+        <button className="btn btnGhost" onClick={() => run(() => loginAsGuest(username))} disabled={disabled || busy}>
+          游客进入
+        </button>
+      </div>
+      {error && <div className="modalHint no">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  adminBroadcast,
+  adminCloseRoom,
+  adminKickSeat,
+  adminResetRoom,
+  fetchAdminRooms,
+} from "./api";
+import { displayName } from "./Account.jsx";
+import { rulesLabel } from "./Rules.jsx";
+
+// the token only lives for this tab
+const ADMIN_KEY = "matrixGame.adminToken";
+const REFRESH_MS = 3000;
+
+function seatLabel(room, team) {
+  if (room.bot?.team === team) return "AI";
+  if (room.players[team]) return displayName(room.users[team]) || "匿名玩家";
+  if (room.reserved[team]) return `${displayName(room.users[team]) || "匿名玩家"}（断线中）`;
+  return "空";
+}
+
+function since(ts) {
+  return ts ? `${Math.round((Date.now() - ts) / 1000)}s` : "-";
+}
+
+export default function AdminPage() {
+  const [token, setToken] = useState(() => sessionStorage.getItem(ADMIN_KEY) || "");
+  const [tokenInput, setTokenInput] = useState("");
+  const [data, setData] = useState(null);
+  const [toast, setToast] = useState({ type: "info", text: "输入管理员令牌后查看房间" });
+  const [notice, setNotice] = useState("");
+
+  const refresh = useCallback(() => {
+    if (!token) return;
+    fetchAdminRooms(token)
+      .then(setData)
+      .catch((e) => {
+        setData(null);
+        setToast({ type: "bad", text: e.message });
+      });
+  }, [token]);
+
+  useEffect(() => {
+    refresh();
+    const t = setInterval(refresh, REFRESH_MS);
+    return () => clearInterval(t);
+  }, [refresh]);
+
+  function onLogin() {
+    const v = tokenInput.trim();
+    if (!v) return;
+    sessionStorage.setItem(ADMIN_KEY, v);
+    setToken(v);
+    setTokenInput("");
+    setToast({ type: "info", text: "正在加载房间..." });
+  }
+
+  function onLogout() {
+    sessionStorage.removeItem(ADMIN_KEY);
+    setToken("");
+    setData(null);
+  }
+
+  async function run(action, okText, confirmText) {
+    if (confirmText && !window.confirm(confirmText)) return;
+    try {
+      await action();
+      setToast({ type: "good", text: okText });
+      refresh();
+    } catch (e) {
+      setToast({ type: "bad", text: e.message });
+    }
+  }
+
+  function onBroadcast() {
+    const message = notice.trim();
+    if (!message) return;
+    run(() => adminBroadcast(token, message), "公告已发送").then(() => setNotice(""));
+  }
+
+  return (
+    <div className="gRoot">
+      <header className="gTopbar">
+        <div className="gBrand">
+          <div className="gLogo">🛠️</div>
+          <div>
+            <div className="gTitle">管理后台</div>
+            <div className="gSub">
+              {data ? `房间 ${data.rooms.length} · 在线连接 ${data.sockets} · 匹配队列 ${data.queue}` : "未登录"}
+            </div>
+          </div>
+        </div>
+        <div className="gStatusPills">
+          <a className="pill pillBtn" href={window.location.pathname}>返回游戏</a>
+          {token && (
+            <button className="pill pillBtn" onClick={onLogout}>退出</button>
+          )}
+        </div>
+      </header>
+
+      <main className="adminMain">
+        <div className={`card toastCard ${toast.type}`}>
+          <div className="toastDot" />
+          <div className="toastText">{toast.text}</div>
+        </div>
+
+        {!token ? (
+          <div className="card cardSection">
+            <div className="cardTitle">管理员令牌</div>
+            <div className="formRow inputRow">
+              <input
+                className="input"
+                type="password"
+                value={tokenInput}
+                onChange={(e) => setTokenInput(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && onLogin()}
+                placeholder="ADMIN_TOKEN"
+              />
+              <button className="btn btnPrimary" onClick={onLogin}>进入</button>
+            </div>
+          </div>
+        ) : (
+          <>
+            <div className="card cardSection">
+              <div className="cardTitle">全服公告</div>
+              <div className="formRow inputRow">
+                <input
+                  className="input"
+                  value={notice}
+                  maxLength={500}
+                  onChange={(e) => setNotice(e.target.value)}
+                  placeholder="发送给所有在线玩家"
+                />
+                <button className="btn btnPrimary" onClick={onBroadcast} disabled={!notice.trim()}>发送</button>
+              </div>
+            </div>
+
+            <div className="card cardSection">
+              <div className="cardTitle">房间</div>
+              {data?.rooms.length === 0 && <div className="roomListEmpty">当前没有房间</div>}
+              <div className="roomList">
+                {data?.rooms.map((r) => (
+                  <div key={r.roomId} className="roomItem">
+                    <div className="roomInfo">
+                      <div className="roomId">{r.roomId}</div>
+                      <div className="roomMeta">
+                        <span className="roomTag">
+                          {r.active ? `第 ${r.round}/${r.rules.rounds} 回合` : "未开始"}
+                        </span>
+                        <span className="roomTag subtle">
+                          A：{seatLabel(r, "A")} · B：{seatLabel(r, "B")}
+                        </span>
+                        <span className="roomTag subtle">
+                          比分 {r.scores.A} : {r.scores.B}
+                        </span>
+                        <span className="roomTag subtle">历史 {r.historyLength}</span>
+                        {r.spectators > 0 && <span className="roomTag subtle">观战 {r.spectators}</span>}
+                        {(r.offlineSince.A || r.offlineSince.B) && (
+                          <span className="roomTag subtle">
+                            断线 A {since(r.offlineSince.A)} · B {since(r.offlineSince.B)}
+                          </span>
+                        )}
+                        {r.commitReveal && <span className="roomTag subtle">承诺-揭示</span>}
+                        {r.rated && <span className="roomTag subtle">排位</span>}
+                        {data.instances?.length > 1 && <span className="roomTag subtle">实例 {r.instance}</span>}
+                        <span className="roomTag subtle">{rulesLabel(r.rules)}</span>
+                        <span className="roomTag subtle">创建于 {new Date(r.createdAt).toLocaleString()}</span>
+                      </div>
+                    </div>
+                    <div className="roomActions">
+                      {["A", "B"].map((t) => (
+                        <button
+                          key={t}
+                          className="btn"
+                          disabled={r.bot?.team === t || (!r.players[t] && !r.reserved[t])}
+                          onClick={() => run(() => adminKickSeat(token, r.roomId, t), `已移出 ${r.roomId} 的 ${t}`, `确定移出 ${r.roomId} 的 ${t}？`)}
+                        >
+                          踢出 {t}
+                        </button>
+                      ))}
+                      <button
+                        className="btn"
+                        onClick={() => run(() => adminResetRoom(token, r.roomId), `已重置 ${r.roomId}`, `确定重置 ${r.roomId}？当前对局不会保存。`)}
+                      >
+                        重置
+                      </button>
+                      <button
+                        className="btn btnGhost"
+                        onClick={() => run(() => adminCloseRoom(token, r.roomId), `已关闭 ${r.roomId}`, `确定关闭 ${r.roomId}？`)}
+                      >
+                        关闭
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
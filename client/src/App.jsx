@@ -1,9 +1,62 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import { createRoom, fetchRooms } from "./api";
+import { createRoom, fetchMe, fetchRooms, logout } from "./api";
 import { makeSocket } from "./socket";
+import { commitmentFor, makeNonce } from "./commit";
+import ReplayViewer, { ReplayLoader, fetchReplay } from "./ReplayViewer";
+import AccountCard, { displayName } from "./Account";
+import Leaderboard from "./Leaderboard";
+import { DEFAULT_RULES, RulesForm, isDefaultRules, rulesLabel } from "./Rules";
 import "./styles.css";
 
 const TEAM_LABEL = (t) => (t === "A" ? "A（选行）" : t === "B" ? "B（选列）" : "未选择");
+const SEAT_KEY = "matrixGame.seat";
+const AUTH_KEY = "matrixGame.auth";
+const BOT_LABEL = { random: "随机", maximin: "保守", nash: "纳什" };
+// after a maintenance restart: how often / how long to keep asking for our seat back
+const REJOIN_RETRY_MS = 3000;
+const REJOIN_GIVE_UP_MS = 5 * 60_000;
+const OPPONENTS = [
+  { value: "human", label: "真人" },
+  { value: "random", label: "AI·随机" },
+  { value: "maximin", label: "AI·保守" },
+  { value: "nash", label: "AI·纳什" },
+];
+
+// Reconnect token handed out by the server; lets a new socket reclaim the seat.
+function loadSeat() {
+  try {
+    const seat = JSON.parse(localStorage.getItem(SEAT_KEY) || "null");
+    return seat?.roomId && seat?.token ? seat : null;
+  } catch {
+    return null;
+  }
+}
+function saveSeat(seat) {
+  try {
+    if (seat) localStorage.setItem(SEAT_KEY, JSON.stringify(seat));
+    else localStorage.removeItem(SEAT_KEY);
+  } catch {
+    // storage disabled: reconnecting simply won't reclaim the seat
+  }
+}
+
+// Session token + the account it belongs to; sent in the socket handshake.
+function loadAuth() {
+  try {
+    const auth = JSON.parse(localStorage.getItem(AUTH_KEY) || "null");
+    return auth?.token ? auth : null;
+  } catch {
+    return null;
+  }
+}
+function saveAuth(auth) {
+  try {
+    if (auth) localStorage.setItem(AUTH_KEY, JSON.stringify(auth));
+    else localStorage.removeItem(AUTH_KEY);
+  } catch {
+    // storage disabled: the login lasts until the page is closed
+  }
+}
 
 function clamp(v, min, max) {
   return Math.max(min, Math.min(max, v));
@@ -11,18 +64,38 @@ function clamp(v, min, max) {
 
 function anyCellAvailableInRow(board, r) {
   if (!board) return true;
-  for (let c = 0; c < 3; c++) if (!board[r][c]?.used) return true;
-  return false;
+  return board[r].some((cell) => !cell?.used);
 }
 function anyCellAvailableInCol(board, c) {
   if (!board) return true;
-  for (let r = 0; r < 3; r++) if (!board[r][c]?.used) return true;
-  return false;
+  return board.some((row) => !row[c]?.used);
 }
 function cellUsed(board, r, c) {
   return !!board?.[r]?.[c]?.used;
 }
 
+// idle rooms are closed by the server; the room list shows roughly when
+function expiresLabel(expiresAt) {
+  const minutes = Math.max(1, Math.ceil((expiresAt - Date.now()) / 60_000));
+  return `${minutes} 分钟内无人操作将关闭`;
+}
+
+function gameShareUrl(gameId) {
+  return `${window.location.origin}${window.location.pathname}?game=${encodeURIComponent(gameId)}`;
+}
+
+function downloadJson(payload, filename) {
+  const blob = new Blob([JSON.stringify(payload, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1200);
+}
+
 async function copyText(text) {
   try {
     await navigator.clipboard.writeText(text);
@@ -46,13 +119,28 @@ async function copyText(text) {
 
 export default function App() {
   const socketRef = useRef(null);
+  // commit-reveal: the pick + nonce we committed to, kept until the server asks for the reveal
+  const commitRef = useRef(null);
+  const authRef = useRef(loadAuth());
 
   const [connected, setConnected] = useState(false);
+  const [user, setUser] = useState(authRef.current?.user || null);
   const [toast, setToast] = useState({ type: "info", text: "准备就绪" });
 
   const [team, setTeam] = useState("A");
   const [roomId, setRoomId] = useState("");
   const [joinRoomId, setJoinRoomId] = useState("");
+  const [opponent, setOpponent] = useState("human");
+  const [spectating, setSpectating] = useState(false);
+  const [commitMode, setCommitMode] = useState(false);
+  const [rated, setRated] = useState(false);
+  const [rules, setRules] = useState(DEFAULT_RULES);
+  const [rulesOpen, setRulesOpen] = useState(false);
+  const [leaderboardOpen, setLeaderboardOpen] = useState(false);
+  // matchmaking: last queueStatus from the server, null when not queued
+  const [queue, setQueue] = useState(null);
+  const [viewerReplay, setViewerReplay] = useState(null);
+  const [replayLoaderOpen, setReplayLoaderOpen] = useState(false);
 
   const [state, setState] = useState(null);
   const [lastChosen, setLastChosen] = useState(null);
@@ -63,43 +151,156 @@ export default function App() {
   const [roomsLoading, setRoomsLoading] = useState(false);
   const [creatingRoom, setCreatingRoom] = useState(false);
   const [createCooldownUntil, setCreateCooldownUntil] = useState(0);
+  // server maintenance notice: { message, endsAt } until we are back in after the restart
+  const [maintenance, setMaintenance] = useState(null);
   const [, forceTick] = useState(0);
 
   const myTeam = useMemo(() => team, [team]);
+  // socket handlers are bound once, so they read the current team through a ref
+  const teamRef = useRef(team);
+  teamRef.current = team;
 
   useEffect(() => {
-    const s = makeSocket();
+    const s = makeSocket(() => authRef.current?.token);
     socketRef.current = s;
 
     const info = (text) => setToast({ type: "info", text });
     const good = (text) => setToast({ type: "good", text });
     const bad = (text) => setToast({ type: "bad", text });
 
+    // Maintenance: the restarted server (or, in cluster mode, the instance running our room) may not
+    // be back on the first try, so the seat is re-requested until the server answers with yourTeam.
+    let inMaintenance = false;
+    let rejoinTimer = null;
+    const stopRejoin = () => {
+      clearInterval(rejoinTimer);
+      rejoinTimer = null;
+    };
+    const endMaintenance = (text) => {
+      stopRejoin();
+      if (!inMaintenance) return;
+      inMaintenance = false;
+      setMaintenance(null);
+      good(text);
+    };
+
+    // Rate-limit ban or kick: the server drops the socket or refuses the handshake, and socket.io
+    // retries neither on its own, so reconnect once the wait is over.
+    let banTimer = null;
+    const retryAfterBan = ({ message, retryAfterMs }) => {
+      bad(`${message}，${Math.ceil(retryAfterMs / 1000)}s 后自动重连`);
+      clearTimeout(banTimer);
+      banTimer = setTimeout(() => {
+        banTimer = null;
+        s.connect();
+      }, retryAfterMs);
+    };
+    s.on("connect_error", (err) => {
+      if (err.data?.code === "BANNED") retryAfterBan({ message: err.message, retryAfterMs: err.data.retryAfterMs });
+    });
+
     s.on("connect", () => {
       setConnected(true);
-      good("已连接服务器");
+      const seat = loadSeat();
+      if (!seat) return inMaintenance ? endMaintenance("服务器已恢复") : good("已连接服务器");
+      s.emit("joinRoom", seat);
+      info(`正在重连房间 ${seat.roomId}...`);
+      if (!inMaintenance) return;
+      const since = Date.now();
+      stopRejoin();
+      rejoinTimer = setInterval(() => {
+        const current = loadSeat();
+        if (!current || !s.connected || Date.now() - since > REJOIN_GIVE_UP_MS) return endMaintenance("服务器已恢复");
+        s.emit("joinRoom", current);
+      }, REJOIN_RETRY_MS);
     });
-    s.on("disconnect", () => {
+    s.on("disconnect", (reason) => {
       setConnected(false);
-      bad("与服务器断开连接");
+      setQueue(null);
+      stopRejoin();
+      if (!banTimer) bad(inMaintenance ? "服务器维护中，恢复后将自动重连..." : "与服务器断开连接");
+      // a server-side disconnect is not retried by socket.io; during maintenance it means "come back later"
+      if (inMaintenance && reason === "io server disconnect") setTimeout(() => s.connect(), REJOIN_RETRY_MS);
+    });
+
+    s.on("maintenance", ({ message, remainingMs }) => {
+      inMaintenance = true;
+      setQueue(null);
+      setMaintenance({ message, endsAt: Date.now() + (remainingMs || 0) });
     });
 
-    s.on("errorMsg", ({ message }) => bad(message));
+    s.on("errorMsg", (err) => (err.code === "BANNED" || err.code === "KICKED" ? retryAfterBan(err) : bad(err.message)));
     s.on("waiting", ({ message }) => info(message));
     s.on("roomState", (st) => setState(st));
-    s.on("yourTeam", ({ team: t, roomId: rid }) => {
+    s.on("yourTeam", ({ team: t, roomId: rid, token }) => {
+      if (rejoinTimer) endMaintenance("服务器已恢复，已回到房间");
       if (t === "A" || t === "B") {
         setTeam(t);
+        setSpectating(false);
         if (rid) {
           setRoomId(rid);
           setJoinRoomId(rid);
+          if (token) saveSeat({ roomId: rid, team: t, token });
         }
         setToast({ type: "info", text: `服务器确认你是 ${TEAM_LABEL(t)}` });
       } else {
+        if (loadSeat()?.roomId === rid) saveSeat(null);
         setToast({ type: "info", text: "座位已释放，可重新选择队伍" });
       }
     });
 
+    s.on("queueStatus", (status) => setQueue(status));
+    s.on("queueLeft", () => setQueue(null));
+    s.on("matchError", ({ message }) => {
+      setQueue(null);
+      bad(message);
+    });
+    s.on("matchFound", ({ roomId: rid, team: t, rated: isRated }) => {
+      setQueue(null);
+      setTeam(t);
+      setRoomId(rid);
+      setJoinRoomId(rid);
+      setGameOver(null);
+      setLastChosen(null);
+      good(`匹配成功${isRated ? "（排位）" : ""}：房间 ${rid}，你是 ${TEAM_LABEL(t)}`);
+    });
+
+    s.on("spectating", ({ roomId: rid }) => {
+      setSpectating(true);
+      setRoomId(rid);
+      setJoinRoomId(rid);
+      setGameOver(null);
+      setLastChosen(null);
+      good(`正在观战房间 ${rid}`);
+    });
+
+    s.on("roomClosed", ({ message }) => {
+      setSpectating(false);
+      setRoomId("");
+      setState(null);
+      setLastChosen(null);
+      bad(message);
+    });
+
+    const reveal = (round) => {
+      const c = commitRef.current;
+      if (!c || c.round !== round) return false;
+      s.emit("revealPick", { roomId: c.roomId, pick: c.pick, nonce: c.nonce });
+      return true;
+    };
+
+    s.on("revealPhase", ({ round }) => {
+      if (reveal(round)) info("双方已提交承诺，正在揭示...");
+    });
+
+    s.on("seatRestored", ({ history, ...st }) => {
+      setGameOver(null);
+      setLastChosen(null);
+      setState(st);
+      if (st.revealDeadline) reveal(st.round);
+      good(`已恢复对局：第 ${st.round} 回合（已结算 ${history?.length ?? 0} 回合）`);
+    });
+
     s.on("gameStart", (st) => {
       setGameOver(null);
       setLastChosen(null);
@@ -120,14 +321,29 @@ export default function App() {
         board: payload.board,
         scores: payload.scores,
         round: payload.round,
+        pickDeadline: null,
         picks: prev?.picks ?? { A: null, B: null },
         players: prev?.players ?? { A: null, B: null },
       }));
+      const forfeitText = payload.forfeit?.length ? `  ${payload.forfeit.join("/")} 揭示失败判负` : "";
       info(
-        `第 ${payload.round} 回合：回合结算  A${payload.delta.A >= 0 ? "+" : ""}${payload.delta.A}  B${payload.delta.B >= 0 ? "+" : ""}${payload.delta.B}`
+        `第 ${payload.round} 回合：回合结算  A${payload.delta.A >= 0 ? "+" : ""}${payload.delta.A}  B${payload.delta.B >= 0 ? "+" : ""}${payload.delta.B}${forfeitText}`
       );
     });
 
+    s.on("autoPicked", ({ team: t, timeouts }) => {
+      if (t === teamRef.current) bad(`选择超时，已自动代选（连续超时 ${timeouts} 次）`);
+      else info(`${t} 选择超时，已自动代选`);
+    });
+
+    s.on("pickClash", ({ row, col }) => {
+      setLastChosen(null);
+      bad(`双方选中了已用格（${row + 1}, ${col + 1}），本回合请重新选择`);
+    });
+    s.on("clashSettled", ({ team: t, pick }) => {
+      info(`多次选中已用格，服务器将 ${t} 改为${t === "A" ? "行" : "列"} ${pick + 1}`);
+    });
+
     s.on("nextRound", (st) => {
       setState(st);
       setLastChosen(null);
@@ -141,9 +357,23 @@ export default function App() {
       good("对局结束！");
     });
 
+    s.on("roomReset", ({ message }) => {
+      setGameOver(null);
+      setLastChosen(null);
+      bad(message);
+    });
+    s.on("serverNotice", ({ message }) => info(`📢 ${message}`));
+    s.on("roomExpiring", ({ message, expiresAt }) => {
+      bad(`${message}（约 ${Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000))}s）`);
+    });
     s.on("opponentLeft", ({ message }) => bad(message));
+    s.on("opponentDisconnected", ({ message }) => bad(message));
+    s.on("opponentReconnected", ({ message }) => good(message));
 
-    return () => s.disconnect();
+    return () => {
+      clearTimeout(banTimer);
+      s.disconnect();
+    };
   }, []);
 
   useEffect(() => {
@@ -151,7 +381,43 @@ export default function App() {
     return () => clearInterval(t);
   }, []);
 
-  async function onCreateRoom() {
+  // drop a stored login the server no longer knows about
+  useEffect(() => {
+    const token = authRef.current?.token;
+    if (!token) return;
+    fetchMe(token).then((me) => {
+      if (authRef.current?.token !== token) return;
+      if (!me) applyAuth(null);
+      else setUser(me);
+    });
+  }, []);
+
+  // New identity: reconnect so the next handshake carries it. The stored seat token
+  // reclaims our seat on the new socket.
+  function applyAuth(auth) {
+    authRef.current = auth;
+    saveAuth(auth);
+    setUser(auth?.user || null);
+    const s = socketRef.current;
+    if (s?.connected) {
+      s.disconnect();
+      s.connect();
+    }
+  }
+
+  function onAuth(auth) {
+    applyAuth(auth);
+    setToast({ type: "good", text: `欢迎，${displayName(auth.user)}` });
+  }
+
+  function onLogout() {
+    const token = authRef.current?.token;
+    if (token) logout(token).catch(() => {});
+    applyAuth(null);
+    setToast({ type: "info", text: "已退出登录" });
+  }
+
+  async function onCreateRoom(choice = opponent) {
     const cooldownLeft = Math.max(0, Math.ceil((createCooldownUntil - Date.now()) / 1000));
     if (cooldownLeft > 0) {
       return setToast({ type: "bad", text: `创建过于频繁，请 ${cooldownLeft}s 后再试` });
@@ -162,7 +428,10 @@ export default function App() {
       if (roomId) {
         socketRef.current?.emit("leaveRoom", { roomId });
       }
-      const { roomId: rid } = await createRoom();
+      const bot = choice === "human" ? null : { strategy: choice, team: myTeam === "A" ? "B" : "A" };
+      const { roomId: rid } = await createRoom(
+        bot ? { bot, rules } : { commitReveal: commitMode, rated: rated && canRate, rules }
+      );
       setCreateCooldownUntil(Date.now() + 3000);
       setRoomId(rid);
       setJoinRoomId(rid);
@@ -182,6 +451,29 @@ export default function App() {
     }
   }
 
+  function onQueue() {
+    if (queue) {
+      socketRef.current?.emit("leaveQueue");
+      return setToast({ type: "info", text: "已取消匹配" });
+    }
+    if (roomId) socketRef.current?.emit("leaveRoom", { roomId });
+    saveSeat(null);
+    setSpectating(false);
+    setRoomId("");
+    setState(null);
+    setLastChosen(null);
+    setGameOver(null);
+    socketRef.current?.emit("joinQueue", { rated: rated && canRate });
+    setToast({ type: "info", text: "正在寻找对手..." });
+  }
+
+  // long wait in the queue: give up and play the AI instead
+  function onQueueFallback() {
+    socketRef.current?.emit("leaveQueue");
+    setOpponent("nash");
+    onCreateRoom("nash");
+  }
+
   function onJoin() {
     const rid = (joinRoomId || "").trim().toUpperCase();
     if (!rid) return setToast({ type: "bad", text: "请输入房间号" });
@@ -201,6 +493,8 @@ export default function App() {
   function onLeaveRoom() {
     if (!roomId) return setToast({ type: "bad", text: "还没有房间号" });
     socketRef.current?.emit("leaveRoom", { roomId });
+    saveSeat(null);
+    setSpectating(false);
     setRoomId("");
     setJoinRoomId("");
     setState(null);
@@ -239,72 +533,62 @@ export default function App() {
     if (roomListOpen) loadRoomList();
   }, [roomListOpen]);
 
-  const buildReplayRounds = (history) => {
-    return (history || []).map((r) => {
-      const boardNumbers = (r.board || []).map((row, ri) =>
-        row.map((cell, ci) => ({
-          row: ri,
-          col: ci,
-          a: cell?.a ?? 0,
-          b: cell?.b ?? 0,
-        }))
-      );
+  // shared link: /?game=<gameId> opens a finished game from the server archive
+  useEffect(() => {
+    const gameId = new URLSearchParams(window.location.search).get("game");
+    if (!gameId) return;
+    fetchReplay(gameId)
+      .then((replay) => setViewerReplay(replay))
+      .catch((e) => setToast({ type: "bad", text: e.message || "获取对局失败" }));
+  }, []);
 
-      const pickedRow = r?.picks?.A ?? null;
-      const pickedCol = r?.picks?.B ?? null;
-      const chosenCell =
-        pickedRow !== null && pickedCol !== null ? r.board?.[pickedRow]?.[pickedCol] : null;
-
-      return {
-        round: r.round,
-        boardNumbers,
-        picks: {
-          A: {
-            row: pickedRow,
-            label: pickedRow !== null ? `行 ${pickedRow + 1}` : null,
-          },
-          B: {
-            col: pickedCol,
-            label: pickedCol !== null ? `列 ${pickedCol + 1}` : null,
-          },
-        },
-        chosenCell:
-          chosenCell && pickedRow !== null && pickedCol !== null
-            ? { row: pickedRow, col: pickedCol, a: chosenCell.a, b: chosenCell.b }
-            : null,
-        delta: r.delta,
-        scoresAfter: r.scoresAfter,
-      };
-    });
-  };
+  function closeReplayViewer() {
+    setViewerReplay(null);
+    if (window.location.search) window.history.replaceState(null, "", window.location.pathname);
+  }
+
+  // the server sends the archived replay with gameOver; older payloads only carry the gameId
+  async function currentGameReplay() {
+    return gameOver.replay || (gameOver.gameId ? await fetchReplay(gameOver.gameId).catch(() => null) : null);
+  }
 
-  function onDownloadReplay() {
+  async function onDownloadReplay() {
     if (!gameOver?.history?.length) {
       return setToast({ type: "bad", text: "暂无可下载的回放数据" });
     }
 
-    const payload = {
-      roomId: roomId || null,
-      finishedAt: new Date().toISOString(),
-      finalScores: gameOver.finalScores,
-      winner: gameOver.winner,
-      totalRounds: gameOver.history.length,
-      replayVersion: 1,
-      rounds: buildReplayRounds(gameOver.history),
-    };
+    const payload = await currentGameReplay();
+    if (!payload) return setToast({ type: "bad", text: "获取回放失败" });
+    downloadJson(payload, `matrix-game-replay-${payload.roomId || "room"}-${Date.now()}.json`);
+    setToast({ type: "good", text: "回放文件已开始下载" });
+  }
 
-    const blob = new Blob([JSON.stringify(payload, null, 2)], {
-      type: "application/json",
-    });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `matrix-game-replay-${roomId || "room"}-${Date.now()}.json`;
-    a.click();
-    setTimeout(() => URL.revokeObjectURL(url), 1200);
+  async function onViewReplay() {
+    if (!gameOver?.history?.length) {
+      return setToast({ type: "bad", text: "暂无可查看的回放数据" });
+    }
+    const payload = await currentGameReplay();
+    if (!payload) return setToast({ type: "bad", text: "获取回放失败" });
+    setViewerReplay(payload);
+  }
+
+  async function onShareGame(gameId) {
+    if (!gameId) return setToast({ type: "bad", text: "该对局未归档，无法分享" });
+    const ok = await copyText(gameShareUrl(gameId));
+    setToast({ type: ok ? "good" : "bad", text: ok ? "对局链接已复制" : "复制失败，请手动复制" });
+  }
+
+  function onDownloadViewerReplay() {
+    if (!viewerReplay) return;
+    downloadJson(viewerReplay, `matrix-game-replay-${viewerReplay.gameId || viewerReplay.roomId || "room"}.json`);
     setToast({ type: "good", text: "回放文件已开始下载" });
   }
 
+  function onLoadReplay(replay) {
+    setReplayLoaderOpen(false);
+    setViewerReplay(replay);
+  }
+
   function joinAvailableRoom(room) {
     if (!room?.roomId || !room?.availableTeam) return;
     const rid = String(room.roomId || "").trim().toUpperCase();
@@ -320,12 +604,34 @@ export default function App() {
     setRoomListOpen(false);
   }
 
+  function watchAvailableRoom(room) {
+    if (!room?.roomId) return;
+    const rid = String(room.roomId || "").trim().toUpperCase();
+
+    setGameOver(null);
+    setLastChosen(null);
+    socketRef.current?.emit("watchRoom", { roomId: rid });
+    setToast({ type: "info", text: `进入房间 ${rid} 观战...` });
+    setRoomListOpen(false);
+  }
+
+  function commitPick(pick) {
+    const round = state?.round;
+    const nonce = makeNonce();
+    const commitment = commitmentFor({ roomId, round, team: myTeam, pick, nonce });
+    commitRef.current = { roomId, round, pick, nonce };
+    socketRef.current?.emit("commitPick", { roomId, commitment });
+    setToast({ type: "info", text: "已提交承诺，等待对手..." });
+  }
+
   function pickRow(row) {
     if (!roomId) return;
+    if (state?.commitReveal) return commitPick(row);
     socketRef.current?.emit("pickRow", { roomId, row });
   }
   function pickCol(col) {
     if (!roomId) return;
+    if (state?.commitReveal) return commitPick(col);
     socketRef.current?.emit("pickCol", { roomId, col });
   }
 
@@ -337,23 +643,34 @@ export default function App() {
   const inGame = !!safeState.active;
 
   const myPickLocked =
+    !!safeState.locked?.[myTeam] ||
     (myTeam === "A" && safeState.picks?.A !== null) ||
     (myTeam === "B" && safeState.picks?.B !== null);
 
+  const roomRules = safeState.rules || DEFAULT_RULES;
+  const pickSecondsLeft =
+    inGame && safeState.pickDeadline ? Math.max(0, Math.ceil((safeState.pickDeadline - Date.now()) / 1000)) : null;
   const round = safeState.round ?? 0;
-  const progress = clamp(Math.round(((round ? round - 1 : 0) / 9) * 100), 0, 100);
+  const progress = clamp(Math.round(((round ? round - 1 : 0) / roomRules.rounds) * 100), 0, 100);
 
   const scoreA = safeState.scores?.A ?? 0;
   const scoreB = safeState.scores?.B ?? 0;
 
   const pickedRow = safeState.picks?.A ?? null;
   const pickedCol = safeState.picks?.B ?? null;
-  const myPickValue = myTeam === "A" ? pickedRow : pickedCol;
-  const myPickLabel = myPickValue !== null ? `${myTeam === "A" ? "行" : "列"} ${myPickValue + 1}` : "未选";
-  const opponentPickValue = myTeam === "A" ? pickedCol : pickedRow;
-  const opponentPickLabel = opponentPickValue !== null ? "已选择" : "未选";
+  // in commit-reveal rooms the server doesn't know our pick yet, only our commitment
+  const committed =
+    safeState.commitReveal && safeState.locked?.[myTeam] && commitRef.current?.round === round ? commitRef.current : null;
+  const myPickValue = committed ? committed.pick : myTeam === "A" ? pickedRow : pickedCol;
+  const myPickLabel =
+    myPickValue !== null ? `${myTeam === "A" ? "行" : "列"} ${myPickValue + 1}${committed ? "（已承诺）" : ""}` : "未选";
+  // the server never sends the opponent's pick before roundResult, only whether it is locked
+  const lockedLabel = (t) => (safeState.locked?.[t] ? "已选择" : "未选");
+  const opponentPickLabel = lockedLabel(myTeam === "A" ? "B" : "A");
   const createCooldownLeft = Math.max(0, Math.ceil((createCooldownUntil - Date.now()) / 1000));
   const createDisabled = creatingRoom || createCooldownLeft > 0 || inGame;
+  // rated rooms are human vs human between registered accounts
+  const canRate = opponent === "human" && !!user && !user.guest && isDefaultRules(rules);
   const createBtnLabel = createCooldownLeft > 0 ? `创建新房间（${createCooldownLeft}s）` : "创建新房间";
 
   const disableRow = (r) => {
@@ -376,6 +693,11 @@ export default function App() {
       ? "A 获胜"
       : "B 获胜";
   const hasReplay = !!gameOver?.history?.length;
+  const seatLabel = (t) => {
+    if (safeState.bot?.team === t) return `AI · ${BOT_LABEL[safeState.bot.strategy] || safeState.bot.strategy}`;
+    if (!safeState.players?.[t]) return "未加入";
+    return displayName(safeState.users?.[t]) || "匿名玩家";
+  };
 
   return (
     <div className="gRoot">
@@ -383,8 +705,8 @@ export default function App() {
         <div className="gBrand">
           <div className="gLogo">🃏</div>
           <div>
-            <div className="gTitle">简约卡牌 · 3×3 对战</div>
-            <div className="gSub">A 选行 · B 选列 · 交叉格结算（9 回合）</div>
+            <div className="gTitle">简约卡牌 · {roomRules.rows}×{roomRules.cols} 对战</div>
+            <div className="gSub">A 选行 · B 选列 · 交叉格结算（{roomRules.rounds} 回合）</div>
           </div>
         </div>
 
@@ -393,7 +715,7 @@ export default function App() {
             <span className="dot" /> {connected ? "Online" : "Offline"}
           </span>
           <span className="pill">
-            队伍：<b>{TEAM_LABEL(myTeam)}</b>
+            队伍：<b>{spectating ? "观战" : TEAM_LABEL(myTeam)}</b>
           </span>
           <span className="pill">
             房间：<b>{roomId || "—"}</b>
@@ -404,6 +726,15 @@ export default function App() {
         </div>
       </header>
 
+      {maintenance && (
+        <div className="maintenanceBanner">
+          🛠️ {connected ? maintenance.message : "服务器维护中，恢复后将自动重连..."}
+          {connected && maintenance.endsAt > Date.now() && (
+            <b> · {Math.ceil((maintenance.endsAt - Date.now()) / 1000)}s 后重启</b>
+          )}
+        </div>
+      )}
+
       <main className="gMain">
         <section className="panel panelLeft">
           <div className="panelHeader">
@@ -416,15 +747,76 @@ export default function App() {
               <div className="cardTitle">操作</div>
 
               <div className="formRow actionsRow">
-                <button className="btn btnPrimary" onClick={onCreateRoom} disabled={!connected || createDisabled}>
+                <button className="btn btnPrimary" onClick={() => onCreateRoom()} disabled={!connected || createDisabled}>
                   {createBtnLabel}
                 </button>
                 <button className="btn" onClick={onShareRoom} disabled={!roomId || inGame}>复制房间号</button>
                 <button className="btn btnGhost btnLeave" onClick={onLeaveRoom} disabled={!roomId}>退出房间</button>
               </div>
 
+              <div className="formRow teamRow">
+                <div className="seg">
+                  {OPPONENTS.map((o) => (
+                    <button
+                      key={o.value}
+                      className={`segBtn ${opponent === o.value ? "segOn" : ""}`}
+                      onClick={() => setOpponent(o.value)}
+                      type="button"
+                      disabled={inGame}
+                    >
+                      {o.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="formRow teamRow">
+                <div className="seg">
+                  <button className={`segBtn ${!commitMode ? "segOn" : ""}`} onClick={() => setCommitMode(false)} type="button" disabled={inGame}>
+                    标准
+                  </button>
+                  <button
+                    className={`segBtn ${commitMode ? "segOn" : ""}`}
+                    onClick={() => setCommitMode(true)}
+                    type="button"
+                    disabled={inGame || opponent !== "human"}
+                  >
+                    承诺-揭示
+                  </button>
+                </div>
+              </div>
+
+              <div className="formRow teamRow">
+                <div className="seg">
+                  <button className={`segBtn ${!rated || !canRate ? "segOn" : ""}`} onClick={() => setRated(false)} type="button" disabled={inGame}>
+                    休闲
+                  </button>
+                  <button
+                    className={`segBtn ${rated && canRate ? "segOn" : ""}`}
+                    onClick={() => setRated(true)}
+                    type="button"
+                    disabled={inGame || !canRate}
+                    title={canRate ? "" : "登录注册账号并选择真人对手后可开排位"}
+                  >
+                    排位
+                  </button>
+                </div>
+              </div>
+
+              <div className="formRow joinRow">
+                <button className="btn btnGhost" onClick={() => setRulesOpen((o) => !o)} disabled={inGame}>
+                  规则：{rulesLabel(rules)}
+                </button>
+              </div>
+              {rulesOpen && <RulesForm rules={rules} onChange={setRules} disabled={inGame} />}
+
               <div className="formRow joinRow">
                 <button className="btn btnGhost" onClick={openRoomList} disabled={!connected || inGame}>房间列表</button>
+                <button className={`btn ${queue ? "" : "btnGhost"}`} onClick={onQueue} disabled={!connected || inGame}>
+                  {queue ? "取消匹配" : "快速匹配"}
+                </button>
+                <button className="btn btnGhost" onClick={() => setReplayLoaderOpen(true)} disabled={inGame}>打开回放</button>
+                <button className="btn btnGhost" onClick={() => setLeaderboardOpen(true)} disabled={inGame}>排行榜</button>
               </div>
 
               <div className="formRow inputRow">
@@ -450,6 +842,27 @@ export default function App() {
               </div>
             </div>
 
+            {queue && (
+              <div className="card cardSection">
+                <div className="cardTitle">匹配中{queue.rated ? "（排位）" : ""}</div>
+                <div className="modalRow">
+                  <span className="roomTag">
+                    第 {queue.position}/{queue.size} 位
+                  </span>
+                  <span className="roomTag subtle">已等待 {Math.floor(queue.waitMs / 1000)}s</span>
+                  {queue.band !== null && <span className="roomTag subtle">分差 ±{queue.band}</span>}
+                </div>
+                {queue.offerBot && (
+                  <div className="formRow">
+                    <span className="modalHint">暂时没有合适的对手</span>
+                    <button className="btn" onClick={onQueueFallback}>先和 AI 对战</button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            <AccountCard user={user} onAuth={onAuth} onLogout={onLogout} disabled={inGame} />
+
             <div className={`card toastCard ${toast.type}`}>
               <div className="toastDot" />
               <div className="toastText">{toast.text}</div>
@@ -460,11 +873,11 @@ export default function App() {
               <div className="players">
                 <div className={`playerBox ${safeState.players?.A ? "ready" : ""}`}>
                   <div className="pHead"><span className="badgeA">A</span> <b>选行</b></div>
-                  <div className="pSub">{safeState.players?.A ? "已加入" : "未加入"}</div>
+                  <div className="pSub">{seatLabel("A")}</div>
                 </div>
                 <div className={`playerBox ${safeState.players?.B ? "ready" : ""}`}>
                   <div className="pHead"><span className="badgeB">B</span> <b>选列</b></div>
-                  <div className="pSub">{safeState.players?.B ? "已加入" : "未加入"}</div>
+                  <div className="pSub">{seatLabel("B")}</div>
                 </div>
               </div>
             </div>
@@ -488,17 +901,34 @@ export default function App() {
 
                 <div className="roundCard">
                   <div className="roundTitle">回合</div>
-                  <div className="roundValue">{round ? `${round}/9` : "—"}</div>
+                  <div className="roundValue">{round ? `${round}/${roomRules.rounds}` : "—"}</div>
                   <div className="progress"><div className="bar" style={{ width: `${progress}%` }} /></div>
+                  {pickSecondsLeft !== null && (
+                    <div className={`roundSub ${pickSecondsLeft <= 5 ? "no" : ""}`}>
+                      选择倒计时：<b>{pickSecondsLeft}s</b>
+                      {!spectating && safeState.timeouts?.[myTeam] ? `（已连续超时 ${safeState.timeouts[myTeam]} 次）` : ""}
+                    </div>
+                  )}
 
-                  <div className="pickRow">
-                    <div className="pickPill">
-                      我方：<b>{myPickLabel}</b>
+                  {spectating ? (
+                    <div className="pickRow">
+                      <div className="pickPill">
+                        A：<b>{lockedLabel("A")}</b>
+                      </div>
+                      <div className="pickPill">
+                        B：<b>{lockedLabel("B")}</b>
+                      </div>
                     </div>
-                    <div className="pickPill">
-                      对手：<b>{opponentPickLabel}</b>
+                  ) : (
+                    <div className="pickRow">
+                      <div className="pickPill">
+                        我方：<b>{myPickLabel}</b>
+                      </div>
+                      <div className="pickPill">
+                        对手：<b>{opponentPickLabel}</b>
+                      </div>
                     </div>
-                  </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -521,9 +951,9 @@ export default function App() {
 
                 {board && (
                   <>
-                    <div className="boardGrid">
-                      {Array.from({ length: 3 }).map((_, ri) =>
-                        Array.from({ length: 3 }).map((__, ci) => {
+                    <div className="boardGrid" style={{ gridTemplateColumns: `repeat(${board[0].length}, 1fr)` }}>
+                      {board.map((boardRow, ri) =>
+                        boardRow.map((__, ci) => {
                           const cell = board?.[ri]?.[ci] || { a: 0, b: 0, used: false };
                           const used = !!cell.used;
                           const chosen = lastChosen && lastChosen.row === ri && lastChosen.col === ci;
@@ -554,7 +984,9 @@ export default function App() {
                                   <div className="cardBack">
                                     <div className="backMark">CARD</div>
                                     <div className="backLine" />
-                                    <div className="backMini">3×3 MATRIX</div>
+                                    <div className="backMini">
+                                      {board.length}×{board[0].length} MATRIX
+                                    </div>
                                   </div>
                                 </div>
                               </div>
@@ -566,11 +998,13 @@ export default function App() {
                     </div>
 
                     <div className="actions">
-                      {myTeam === "A" ? (
+                      {spectating ? (
+                        <div className="actTitle">观战中：<b>双方锁定后公布选择</b></div>
+                      ) : myTeam === "A" ? (
                         <>
                           <div className="actTitle">你的操作：<b>选择行</b></div>
                           <div className="btnRow">
-                            {[0, 1, 2].map((r) => (
+                            {board.map((_, r) => (
                               <button
                                 key={r}
                                 className="btn btnPrimary"
@@ -586,7 +1020,7 @@ export default function App() {
                         <>
                           <div className="actTitle">你的操作：<b>选择列</b></div>
                           <div className="btnRow">
-                            {[0, 1, 2].map((c) => (
+                            {board[0].map((_, c) => (
                               <button
                                 key={c}
                                 className="btn btnPrimary"
@@ -635,15 +1069,27 @@ export default function App() {
                             {r.availableTeam ? `可加入：${TEAM_LABEL(r.availableTeam)}` : "房间已满"}
                           </span>
                           <span className="roomTag subtle">
-                            A：{r.players?.A ? "有人" : "空"} · B：{r.players?.B ? "有人" : "空"}
+                            A：{r.players?.A ? displayName(r.users?.A) || "有人" : "空"} · B：
+                            {r.players?.B ? displayName(r.users?.B) || "有人" : "空"}
                           </span>
+                          {r.spectators > 0 && <span className="roomTag subtle">观战 {r.spectators}</span>}
+                          {r.expiresAt && <span className="roomTag subtle">{expiresLabel(r.expiresAt)}</span>}
+                          {r.commitReveal && <span className="roomTag subtle">承诺-揭示</span>}
+                          {r.rated && <span className="roomTag subtle">排位</span>}
+                          {r.rules && !isDefaultRules(r.rules) && <span className="roomTag subtle">{rulesLabel(r.rules)}</span>}
+                          {r.bot && (
+                            <span className="roomTag subtle">AI 对手：{BOT_LABEL[r.bot.strategy] || r.bot.strategy}</span>
+                          )}
                         </div>
                       </div>
-                      {r.availableTeam ? (
-                        <button className="btn btnPrimary" onClick={() => joinAvailableRoom(r)}>一键加入</button>
-                      ) : (
-                        <button className="btn" disabled>房间已满</button>
-                      )}
+                      <div className="roomActions">
+                        {r.availableTeam ? (
+                          <button className="btn btnPrimary" onClick={() => joinAvailableRoom(r)}>一键加入</button>
+                        ) : (
+                          <button className="btn" disabled>房间已满</button>
+                        )}
+                        <button className="btn btnGhost" onClick={() => watchAvailableRoom(r)}>观战</button>
+                      </div>
                     </div>
                   ))}
                 </div>
@@ -666,18 +1112,50 @@ export default function App() {
               <div className="modalWinner">
                 {gameOver.winner === "DRAW" ? "平局" : gameOver.winner === "A" ? "A 获胜" : "B 获胜"}
               </div>
+              {gameOver.forfeit?.length > 0 && (
+                <div className="modalHint no">
+                  {gameOver.forfeit.join("/")} {gameOver.forfeitReason === "left" ? "中途离开判负" : "连续选择超时判负"}
+                </div>
+              )}
+              {gameOver.ratings && (
+                <div className="modalRow">
+                  {["A", "B"].map((t) => (
+                    <span key={t} className="roomTag">
+                      {t} 积分 {gameOver.ratings[t].before} → <b>{gameOver.ratings[t].after}</b>（
+                      {gameOver.ratings[t].delta >= 0 ? `+${gameOver.ratings[t].delta}` : gameOver.ratings[t].delta}）
+                    </span>
+                  ))}
+                </div>
+              )}
               <div className="modalHint">点击再战即可立刻开新局，或在左侧创建新房间。</div>
-              <div className="modalHint">下载回放可查看 9 回合每个方格的数值，以及 A/B 的行列选择。</div>
+              <div className="modalHint">
+                下载回放可查看 {gameOver.history.length} 回合每个方格的数值，以及 A/B 的行列选择。
+              </div>
             </div>
             <div className="modalActions">
+              <button className="btn" onClick={onViewReplay} disabled={!hasReplay}>查看回放</button>
               <button className="btn" onClick={onDownloadReplay} disabled={!hasReplay}>下载回放</button>
+              <button className="btn" onClick={() => onShareGame(gameOver.gameId)} disabled={!gameOver.gameId}>分享链接</button>
               <button className="btn" onClick={() => setGameOver(null)}>关闭</button>
-              <button className="btn btnPrimary" onClick={onRestart}>再战一局</button>
+              {!spectating && <button className="btn btnPrimary" onClick={onRestart}>再战一局</button>}
             </div>
           </div>
         </div>
       )}
 
+      {leaderboardOpen && <Leaderboard onClose={() => setLeaderboardOpen(false)} />}
+
+      {replayLoaderOpen && <ReplayLoader onLoad={onLoadReplay} onClose={() => setReplayLoaderOpen(false)} />}
+
+      {viewerReplay && (
+        <ReplayViewer
+          replay={viewerReplay}
+          onClose={closeReplayViewer}
+          onDownload={onDownloadViewerReplay}
+          onShare={() => onShareGame(viewerReplay.gameId)}
+        />
+      )}
+
       <footer className="gFooter">
         <span>分享房间号：一个选 A，一个选 B，加入同一房间即可。</span>
       </footer>
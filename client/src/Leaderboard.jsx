@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from "react";
+import { fetchLeaderboard, fetchRatingHistory } from "./api";
+
+const PAGE_SIZE = 20;
+const RESULT_LABEL = { win: "胜", loss: "负", draw: "平" };
+
+const signed = (v) => (v >= 0 ? `+${v}` : `${v}`);
+
+// One player's rated games, newest first.
+function RatingHistory({ playerId, onBack }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetchRatingHistory(playerId)
+      .then(setData)
+      .catch((e) => setError(e.message || "获取积分记录失败"));
+  }, [playerId]);
+
+  return (
+    <>
+      <div className="roomListActions">
+        <button className="btn" onClick={onBack}>返回排行榜</button>
+      </div>
+      {error && <div className="roomListEmpty">{error}</div>}
+      {!error && !data && <div className="roomListEmpty">正在加载…</div>}
+      {data && (
+        <>
+          <div className="modalRow">
+            <b>{data.player.name}</b>
+            <span className="roomTag">积分 {data.player.rating}</span>
+            <span className="roomTag subtle">
+              {data.player.wins} 胜 {data.player.losses} 负 {data.player.draws} 平
+            </span>
+          </div>
+          <div className="replayList">
+            {data.history.map((e) => (
+              <div key={e.gameId} className="replayLine">
+                <span className="roomTag">{RESULT_LABEL[e.result]}</span>
+                <span>
+                  vs {e.opponent.name}（{e.opponent.rating}）
+                </span>
+                <span className="replayDelta">{new Date(e.at).toLocaleString()}</span>
+                <span className="replayScore">
+                  {e.after}（{signed(e.delta)}）
+                </span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </>
+  );
+}
+
+export default function Leaderboard({ onClose }) {
+  const [page, setPage] = useState(0);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [playerId, setPlayerId] = useState(null);
+
+  useEffect(() => {
+    setLoading(true);
+    setError("");
+    fetchLeaderboard({ offset: page * PAGE_SIZE, limit: PAGE_SIZE })
+      .then(setData)
+      .catch((e) => setError(e.message || "获取排行榜失败"))
+      .finally(() => setLoading(false));
+  }, [page]);
+
+  const pages = Math.max(1, Math.ceil((data?.total || 0) / PAGE_SIZE));
+
+  return (
+    <div className="modalBack">
+      <div className="modal roomListModal">
+        <div className="modalTitle">排行榜</div>
+        <div className="modalBody roomListBody">
+          {playerId ? (
+            <RatingHistory playerId={playerId} onBack={() => setPlayerId(null)} />
+          ) : (
+            <>
+              {loading && <div className="roomListEmpty">正在加载排行榜…</div>}
+              {!loading && error && <div className="roomListEmpty">{error}</div>}
+              {!loading && !error && data?.players.length === 0 && (
+                <div className="roomListEmpty">还没有排位对局，去开一局排位吧。</div>
+              )}
+              {!loading && !error && data?.players.length > 0 && (
+                <div className="roomList">
+                  {data.players.map((p) => (
+                    <button key={p.id} className="replayLine" onClick={() => setPlayerId(p.id)}>
+                      <span className="roomTag">#{p.rank}</span>
+                      <b>{p.name}</b>
+                      <span className="replayDelta">
+                        {p.wins} 胜 {p.losses} 负 {p.draws} 平
+                      </span>
+                      <span className="replayScore">{p.rating}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+        <div className="modalActions">
+          {!playerId && (
+            <>
+              <button className="btn" onClick={() => setPage(page - 1)} disabled={loading || page === 0}>上一页</button>
+              <span className="modalHint">
+                {page + 1} / {pages}
+              </span>
+              <button className="btn" onClick={() => setPage(page + 1)} disabled={loading || page + 1 >= pages}>下一页</button>
+            </>
+          )}
+          <button className="btn" onClick={onClose}>关闭</button>
+        </div>
+      </div>
+    </div>
+  );
+}
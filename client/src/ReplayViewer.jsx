@@ -0,0 +1,252 @@
+import React, { useEffect, useState } from "react";
+import { fetchGame } from "./api";
+import { displayName } from "./Account";
+
+const AUTOPLAY_MS = 1600;
+
+const signed = (v) => (v >= 0 ? `+${v}` : `${v}`);
+const playerName = (replay, team) => (replay.bot?.team === team ? "AI" : displayName(replay.players?.[team]));
+const winnerLabel = (w) => (w === "DRAW" ? "平局" : w === "A" ? "A 获胜" : w === "B" ? "B 获胜" : "—");
+
+// A game can have no rounds at all (a rated game forfeited before round 1 was scored); the viewer
+// shows those as an empty game.
+export function isReplay(data) {
+  return data?.replayVersion === 1 && Array.isArray(data.rounds);
+}
+
+// the archive, checked the same way as a loaded file
+export async function fetchReplay(gameId) {
+  const data = await fetchGame(gameId);
+  if (!isReplay(data)) throw new Error("不是有效的回放数据");
+  return data;
+}
+
+// Cumulative score path: 0 before round 1, then scoresAfter of every round.
+function ScoreLine({ rounds, step }) {
+  const points = [{ A: 0, B: 0 }, ...rounds.map((r) => r.scoresAfter || { A: 0, B: 0 })];
+  const values = points.flatMap((p) => [p.A, p.B]);
+  const max = Math.max(10, ...values.map(Math.abs));
+  const w = 320;
+  const h = 90;
+  const x = (i) => (i / (points.length - 1)) * (w - 16) + 8;
+  const y = (v) => h / 2 - (v / max) * (h / 2 - 8);
+  const path = (team) =>
+    points
+      .slice(0, step + 2)
+      .map((p, i) => `${x(i)},${y(p[team])}`)
+      .join(" ");
+
+  return (
+    <svg className="scoreLine" viewBox={`0 0 ${w} ${h}`} preserveAspectRatio="none">
+      <line x1="0" x2={w} y1={h / 2} y2={h / 2} className="scoreLineZero" />
+      <polyline points={path("A")} className="scoreLineA" />
+      <polyline points={path("B")} className="scoreLineB" />
+    </svg>
+  );
+}
+
+export default function ReplayViewer({ replay, onClose, onDownload, onShare }) {
+  const rounds = replay.rounds;
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  useEffect(() => {
+    if (!playing) return;
+    if (step >= rounds.length - 1) {
+      setPlaying(false);
+      return;
+    }
+    const t = setTimeout(() => setStep(step + 1), AUTOPLAY_MS);
+    return () => clearTimeout(t);
+  }, [playing, step, rounds.length]);
+
+  const current = rounds[step];
+  if (!current) return <EmptyReplay replay={replay} onClose={onClose} />;
+  const chosen = current.chosenCell;
+  const cols = current.boardNumbers[0]?.length || 3;
+  const prevScores = step > 0 ? rounds[step - 1].scoresAfter : { A: 0, B: 0 };
+
+  function go(next) {
+    setPlaying(false);
+    setStep(Math.max(0, Math.min(rounds.length - 1, next)));
+  }
+
+  return (
+    <div className="modalBack">
+      <div className="modal replayModal">
+        <div className="modalTitle">对局回放{replay.gameId ? ` · ${replay.gameId}` : ""}</div>
+        <div className="modalBody">
+          <div className="modalRow">
+            <span className="badgeA">A</span> {playerName(replay, "A")} <b>{replay.finalScores?.A}</b>
+            <span className="sep">vs</span>
+            <span className="badgeB">B</span> {playerName(replay, "B")} <b>{replay.finalScores?.B}</b>
+            <span className="replayWinner">{winnerLabel(replay.winner)}</span>
+          </div>
+
+          <div className="replayStepTitle">
+            第 {current.round}/{rounds.length} 回合 · A {current.picks?.A?.label || "—"} · B {current.picks?.B?.label || "—"}
+            {current.forfeit?.length ? ` · ${current.forfeit.join("/")} 判负` : ""}
+            {current.timedOut?.length ? ` · ${current.timedOut.join("/")} 超时代选` : ""}
+          </div>
+
+          <div className="boardGrid replayBoard" style={{ gridTemplateColumns: `repeat(${cols}, 1fr)` }}>
+            {current.boardNumbers.map((row) =>
+              row.map((cell) => {
+                const isChosen = chosen && chosen.row === cell.row && chosen.col === cell.col;
+                const inPick = current.picks?.A?.row === cell.row || current.picks?.B?.col === cell.col;
+                const cls = `tile ${isChosen ? "chosen replayPick" : inPick ? "" : "replayDim"}`;
+                return (
+                  <div key={`${step}-${cell.row}-${cell.col}`} className={cls}>
+                    <div className="tileFace tileFront">
+                      <div className="tileTop">
+                        <span className="coord">{cell.row},{cell.col}</span>
+                      </div>
+                      <div className="vals">
+                        <div className="valLine">
+                          <span className="badgeA">A</span>
+                          <span className={`val ${cell.a >= 0 ? "pos" : "neg"}`}>{signed(cell.a)}</span>
+                        </div>
+                        <div className="valLine">
+                          <span className="badgeB">B</span>
+                          <span className={`val ${cell.b >= 0 ? "pos" : "neg"}`}>{signed(cell.b)}</span>
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                );
+              })
+            )}
+          </div>
+
+          <div className="replayScoreRow">
+            <span>
+              <span className="badgeA">A</span> {prevScores.A} {signed(current.delta?.A ?? 0)} = <b>{current.scoresAfter?.A}</b>
+            </span>
+            <span>
+              <span className="badgeB">B</span> {prevScores.B} {signed(current.delta?.B ?? 0)} = <b>{current.scoresAfter?.B}</b>
+            </span>
+          </div>
+          <ScoreLine rounds={rounds} step={step} />
+
+          <div className="replayList">
+            {rounds.map((r, i) => (
+              <button key={r.round} className={`replayLine ${i === step ? "replayLineOn" : ""}`} onClick={() => go(i)}>
+                <span className="roomTag">第 {r.round} 回合</span>
+                <span>A {r.picks?.A?.label || "—"} · B {r.picks?.B?.label || "—"}</span>
+                <span className="replayDelta">
+                  {signed(r.delta?.A ?? 0)} / {signed(r.delta?.B ?? 0)}
+                </span>
+                <span className="replayScore">{r.scoresAfter?.A} : {r.scoresAfter?.B}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="modalActions">
+          <button className="btn" onClick={() => go(step - 1)} disabled={step === 0}>上一回合</button>
+          <button
+            className="btn btnPrimary"
+            onClick={() => {
+              if (step >= rounds.length - 1) setStep(0);
+              setPlaying((p) => !p);
+            }}
+          >
+            {playing ? "暂停" : "自动播放"}
+          </button>
+          <button className="btn" onClick={() => go(step + 1)} disabled={step >= rounds.length - 1}>下一回合</button>
+        </div>
+        <div className="modalActions">
+          {onDownload && <button className="btn" onClick={onDownload}>下载回放</button>}
+          {onShare && replay.gameId && <button className="btn" onClick={onShare}>复制链接</button>}
+          <button className="btn" onClick={onClose}>关闭</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function EmptyReplay({ replay, onClose }) {
+  return (
+    <div className="modalBack">
+      <div className="modal">
+        <div className="modalTitle">对局回放{replay.gameId ? ` · ${replay.gameId}` : ""}</div>
+        <div className="modalBody">
+          <div className="modalRow">
+            <span className="badgeA">A</span> {playerName(replay, "A")} <b>{replay.finalScores?.A}</b>
+            <span className="sep">vs</span>
+            <span className="badgeB">B</span> {playerName(replay, "B")} <b>{replay.finalScores?.B}</b>
+            <span className="replayWinner">{winnerLabel(replay.winner)}</span>
+          </div>
+          <div className="modalHint">该对局在第 1 回合结算前就已结束，没有可回放的回合。</div>
+        </div>
+        <div className="modalActions">
+          <button className="btn" onClick={onClose}>关闭</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Opens a replay from a downloaded JSON file or from the server archive by game ID.
+export function ReplayLoader({ onLoad, onClose }) {
+  const [gameId, setGameId] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  function onFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const data = JSON.parse(String(reader.result));
+        if (!isReplay(data)) throw new Error("bad replay");
+        onLoad(data);
+      } catch {
+        setError("不是有效的回放文件");
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  async function onFetch() {
+    const id = gameId.trim();
+    if (!id) return setError("请输入对局 ID");
+    try {
+      setLoading(true);
+      onLoad(await fetchReplay(id));
+    } catch (e) {
+      setError(e.message || "获取对局失败");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="modalBack">
+      <div className="modal">
+        <div className="modalTitle">打开回放</div>
+        <div className="modalBody">
+          <div className="modalHint">选择下载过的回放文件，或输入服务器上的对局 ID。</div>
+          <div className="formRow inputRow">
+            <input className="input" type="file" accept="application/json,.json" onChange={onFile} />
+          </div>
+          <div className="formRow inputRow">
+            <input
+              className="input"
+              value={gameId}
+              onChange={(e) => setGameId(e.target.value)}
+              placeholder="对局 ID"
+            />
+            <button className="btn" onClick={onFetch} disabled={loading}>
+              {loading ? "加载中…" : "加载"}
+            </button>
+          </div>
+          {error && <div className="modalHint no">{error}</div>}
+        </div>
+        <div className="modalActions">
+          <button className="btn" onClick={onClose}>关闭</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import React from "react";
+
+// Mirrors server/rules.js; the server validates and has the final say.
+export const DEFAULT_RULES = { rows: 3, cols: 3, rounds: 9, minValue: -60, maxValue: 60, boardMode: "regenerate" };
+
+const BOARD_MODES = [
+  { value: "regenerate", label: "每回合刷新" },
+  { value: "persistent", label: "持久棋盘" },
+];
+
+const FIELDS = [
+  { key: "rows", label: "行数", min: 2, max: 6 },
+  { key: "cols", label: "列数", min: 2, max: 6 },
+  { key: "rounds", label: "回合", min: 1, max: 30 },
+  { key: "minValue", label: "最小分", min: -999, max: 999 },
+  { key: "maxValue", label: "最大分", min: -999, max: 999 },
+];
+
+export function isDefaultRules(rules) {
+  return Object.keys(DEFAULT_RULES).every((key) => rules?.[key] === DEFAULT_RULES[key]);
+}
+
+export function rulesLabel(rules) {
+  const r = rules || DEFAULT_RULES;
+  const mode = r.boardMode === "persistent" ? " · 持久棋盘" : "";
+  return `${r.rows}×${r.cols} · ${r.rounds} 回合 · ${r.minValue}~${r.maxValue}${mode}`;
+}
+
+export function RulesForm({ rules, onChange, disabled }) {
+  return (
+    <div className="rulesGrid">
+      {FIELDS.map((f) => (
+        <label key={f.key} className="rulesField">
+          <span>{f.label}</span>
+          <input
+            className="input"
+            type="number"
+            min={f.min}
+            max={f.max}
+            value={rules[f.key]}
+            onChange={(e) => onChange({ ...rules, [f.key]: Number(e.target.value) })}
+            disabled={disabled}
+          />
+        </label>
+      ))}
+      <div className="seg">
+        {BOARD_MODES.map((m) => (
+          <button
+            key={m.value}
+            className={`segBtn ${(rules.boardMode || "regenerate") === m.value ? "segOn" : ""}`}
+            onClick={() => onChange({ ...rules, boardMode: m.value })}
+            type="button"
+            disabled={disabled}
+          >
+            {m.label}
+          </button>
+        ))}
+      </div>
+      <button className="btn btnGhost" type="button" onClick={() => onChange({ ...DEFAULT_RULES })} disabled={disabled}>
+        默认
+      </button>
+    </div>
+  );
+}
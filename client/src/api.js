@@ -1,7 +1,11 @@
 const API_BASE = ((import.meta.env.VITE_API_BASE || "").trim() || window.location.origin).replace(/\/$/, "");
 
-export async function createRoom() {
-  const res = await fetch(`${API_BASE}/api/rooms`, { method: "POST" });
+export async function createRoom(options = {}) {
+  const res = await fetch(`${API_BASE}/api/rooms`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(options),
+  });
   const data = await res.json().catch(() => ({}));
   if (!res.ok) throw new Error(data?.message || "创建房间失败");
   return data;
@@ -12,3 +16,65 @@ export async function fetchRooms() {
   if (!res.ok) throw new Error("获取房间列表失败");
   return res.json();
 }
+
+export async function fetchGame(gameId) {
+  const res = await fetch(`${API_BASE}/api/games/${encodeURIComponent(gameId)}`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data?.message || "获取对局失败");
+  return data;
+}
+
+async function postAuth(path, body, token) {
+  const headers = { "Content-Type": "application/json" };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(`${API_BASE}/api/auth/${path}`, { method: "POST", headers, body: JSON.stringify(body || {}) });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data?.message || "请求失败");
+  return data;
+}
+
+// register / login / guest all resolve to { token, user }
+export const register = (username, password) => postAuth("register", { username, password });
+export const login = (username, password) => postAuth("login", { username, password });
+export const loginAsGuest = (name) => postAuth("guest", { name });
+export const logout = (token) => postAuth("logout", {}, token);
+
+export async function fetchMe(token) {
+  const res = await fetch(`${API_BASE}/api/auth/me`, { headers: { Authorization: `Bearer ${token}` } });
+  if (!res.ok) return null;
+  return (await res.json()).user;
+}
+
+export async function fetchLeaderboard({ offset = 0, limit = 20 } = {}) {
+  const res = await fetch(`${API_BASE}/api/leaderboard?offset=${offset}&limit=${limit}`);
+  if (!res.ok) throw new Error("获取排行榜失败");
+  return res.json();
+}
+
+export async function fetchRatingHistory(playerId, limit = 50) {
+  const res = await fetch(`${API_BASE}/api/players/${encodeURIComponent(playerId)}/ratings?limit=${limit}`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data?.message || "获取积分记录失败");
+  return data;
+}
+
+// --- admin (token from ADMIN_TOKEN on the server) ---
+async function adminRequest(token, path, body) {
+  const init = { headers: { Authorization: `Bearer ${token}` } };
+  if (body !== undefined) {
+    init.method = "POST";
+    init.headers["Content-Type"] = "application/json";
+    init.body = JSON.stringify(body);
+  }
+  const res = await fetch(`${API_BASE}/api/admin/${path}`, init);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data?.message || "管理请求失败");
+  return data;
+}
+
+export const fetchAdminRooms = (token) => adminRequest(token, "rooms");
+export const adminCloseRoom = (token, roomId) => adminRequest(token, `rooms/${encodeURIComponent(roomId)}/close`, {});
+export const adminResetRoom = (token, roomId) => adminRequest(token, `rooms/${encodeURIComponent(roomId)}/reset`, {});
+export const adminKickSeat = (token, roomId, team) =>
+  adminRequest(token, `rooms/${encodeURIComponent(roomId)}/kick`, { team });
+export const adminBroadcast = (token, message) => adminRequest(token, "broadcast", { message });
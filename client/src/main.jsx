@@ -1,9 +1,11 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
+import AdminPage from "./AdminPage.jsx";
+
+// `/?admin` opens the operator dashboard instead of the game
+const isAdmin = new URLSearchParams(window.location.search).has("admin");
 
 ReactDOM.createRoot(document.getElementById("root")).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
+  <React.StrictMode>{isAdmin ? <AdminPage /> : <App />}</React.StrictMode>
 );
@@ -1,6 +1,11 @@
 import { io } from "socket.io-client";
 
-export function makeSocket() {
+// getToken is read on every (re)connect so a fresh login applies to the next handshake.
+export function makeSocket(getToken = () => null) {
   const base = ((import.meta.env.VITE_SOCKET_URL || "").trim() || window.location.origin).replace(/\/$/, "");
-  return io(base, { withCredentials: true, transports: ["polling", "websocket"] });
+  return io(base, {
+    withCredentials: true,
+    transports: ["polling", "websocket"],
+    auth: (cb) => cb({ token: getToken() }),
+  });
 }
@@ -0,0 +1,155 @@
+// /opt/game/server/accounts.js
+// Player accounts: registered users (username + scrypt password hash) and throwaway guest handles.
+// A login hands out an opaque session token; only its sha256 is kept in the store.
+// Guests and their sessions expire after guestTtlMs; sweep() removes whatever has expired, going by
+// an in-memory index of expiry times (seeded from the store at startup) rather than re-reading it.
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const NAME_RE = /^[A-Za-z0-9_\u4e00-\u9fa5]{2,16}$/;
+const PASSWORD_MIN = 6;
+const PASSWORD_MAX = 128;
+
+function sessionId(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [kind, salt, hex] = String(stored).split("$");
+  if (kind !== "scrypt" || !salt || !hex) return false;
+  const expected = Buffer.from(hex, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// { code, field, error }: the same codes as schema.js, plus NAME_TAKEN / INVALID_CREDENTIALS
+function fail(code, field, error) {
+  return { code, field, error };
+}
+
+// What other players get to see about an account.
+function publicUser(user) {
+  if (!user) return null;
+  return { id: user.id, name: user.username, guest: !!user.guest };
+}
+
+function createAccounts(store, { sessionTtlMs, guestTtlMs }) {
+  // unknown usernames are checked against this, so a failed login takes as long either way
+  const dummyHash = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+  // "session:<id>" / "guest:<userId>" -> expiresAt
+  const expiries = new Map();
+  store.listSessions().forEach((session) => expiries.set(`session:${session.id}`, session.expiresAt));
+  store.listUsers().forEach((user) => {
+    if (user.guest) expiries.set(`guest:${user.id}`, user.expiresAt ?? user.createdAt + guestTtlMs);
+  });
+
+  function issueSession(user) {
+    const token = crypto.randomBytes(24).toString("hex");
+    const session = { id: sessionId(token), userId: user.id, expiresAt: user.guest ? user.expiresAt : Date.now() + sessionTtlMs };
+    store.saveSession(session);
+    expiries.set(`session:${session.id}`, session.expiresAt);
+    return { token, user: publicUser(user) };
+  }
+
+  function dropSession(id) {
+    store.deleteSession(id);
+    expiries.delete(`session:${id}`);
+  }
+
+  async function register(username, password) {
+    const name = String(username || "").trim();
+    if (!NAME_RE.test(name)) return fail("INVALID_FIELD", "username", "用户名需为 2-16 位字母、数字、下划线或汉字");
+    if (typeof password !== "string" || password.length < PASSWORD_MIN || password.length > PASSWORD_MAX) {
+      return fail("INVALID_FIELD", "password", `密码长度需为 ${PASSWORD_MIN}-${PASSWORD_MAX} 位`);
+    }
+    if (store.findUserByName(name)) return fail("NAME_TAKEN", "username", "用户名已被注册");
+
+    const passwordHash = await hashPassword(password);
+    // the hash is async, so someone may have taken the name meanwhile
+    if (store.findUserByName(name)) return fail("NAME_TAKEN", "username", "用户名已被注册");
+
+    const user = { id: `u_${crypto.randomBytes(8).toString("hex")}`, username: name, passwordHash, createdAt: Date.now() };
+    store.saveUser(user);
+    return issueSession(user);
+  }
+
+  async function login(username, password) {
+    const user = store.findUserByName(String(username || "").trim());
+    const ok = await verifyPassword(String(password), user ? user.passwordHash : await dummyHash);
+    if (!user || !ok) return fail("INVALID_CREDENTIALS", null, "用户名或密码错误");
+    return issueSession(user);
+  }
+
+  // -> { code, field, error } | null; lets the caller check the name before spending a cooldown on it
+  function guestNameError(name) {
+    const wanted = String(name || "").trim();
+    if (wanted && !NAME_RE.test(wanted)) return fail("INVALID_FIELD", "name", "昵称需为 2-16 位字母、数字、下划线或汉字");
+    // guests must not pass themselves off as a registered player
+    if (wanted && store.findUserByName(wanted)) return fail("NAME_TAKEN", "name", "该昵称已被注册用户使用");
+    return null;
+  }
+
+  function guest(name) {
+    const invalid = guestNameError(name);
+    if (invalid) return invalid;
+    const wanted = String(name || "").trim();
+
+    const user = {
+      id: `g_${crypto.randomBytes(8).toString("hex")}`,
+      username: wanted || `游客${crypto.randomInt(1000, 10000)}`,
+      guest: true,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + guestTtlMs,
+    };
+    store.saveUser(user);
+    expiries.set(`guest:${user.id}`, user.expiresAt);
+    return issueSession(user);
+  }
+
+  function userForToken(token) {
+    if (typeof token !== "string" || !token) return null;
+    const session = store.getSession(sessionId(token));
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      dropSession(session.id);
+      return null;
+    }
+    return store.getUser(session.userId);
+  }
+
+  function logout(token) {
+    if (typeof token === "string" && token) dropSession(sessionId(token));
+  }
+
+  // -> how many expired sessions and guest accounts were removed
+  function sweep(now = Date.now()) {
+    const removed = { sessions: 0, guests: 0 };
+    expiries.forEach((expiresAt, key) => {
+      if (expiresAt > now) return;
+      expiries.delete(key);
+      const [kind, id] = key.split(":");
+      if (kind === "session") {
+        store.deleteSession(id);
+        removed.sessions++;
+      } else {
+        store.deleteUser(id);
+        removed.guests++;
+      }
+    });
+    return removed;
+  }
+
+  return { register, login, guest, guestNameError, userForToken, logout, sweep };
+}
+
+module.exports = { createAccounts, publicUser };
@@ -0,0 +1,133 @@
+// /opt/game/server/analytics.js
+// Fairness report: aggregates the per-round board metrics (history[].fairness) of archived games and
+// of freshly simulated boards, and the seat results of archived games (does seat A have an edge?).
+// Pure functions over records; index.js loads the games and deals the simulated boards.
+
+const SCORE_BUCKET = 10; // histogram bucket width for board scores
+
+function percentile(sorted, q) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+function round2(v) {
+  return v === null ? null : Math.round(v * 100) / 100;
+}
+
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.length ? sorted.reduce((s, x) => s + x, 0) / sorted.length : null;
+  return {
+    count: sorted.length,
+    mean: round2(mean),
+    min: round2(sorted[0] ?? null),
+    p10: round2(percentile(sorted, 0.1)),
+    p50: round2(percentile(sorted, 0.5)),
+    p90: round2(percentile(sorted, 0.9)),
+    max: round2(sorted[sorted.length - 1] ?? null),
+  };
+}
+
+function histogram(values, width = SCORE_BUCKET) {
+  const buckets = new Map();
+  values.forEach((v) => {
+    const from = Math.floor(v / width) * width;
+    buckets.set(from, (buckets.get(from) || 0) + 1);
+  });
+  return [...buckets.entries()].sort((a, b) => a[0] - b[0]).map(([from, count]) => ({ from, to: from + width, count }));
+}
+
+function rate(count, total) {
+  return total ? round2(count / total) : null;
+}
+
+// fairness: metrics objects from board.js (one per dealt board).
+function boardStats(fairness) {
+  const fair = fairness.filter((f) => f.pass !== null); // FAIR_MODE off has no passes
+  const scores = fairness.map((f) => f.score);
+  return {
+    boards: fairness.length,
+    score: summarize(scores),
+    scoreHistogram: histogram(scores),
+    fallbackRate: rate(fair.filter((f) => f.pass >= 2).length, fair.length),
+    pureNashRate: rate(fairness.filter((f) => f.pureNash > 0).length, fairness.length),
+    meanAbsMean: {
+      A: summarize(fairness.map((f) => Math.abs(f.meanA))).mean,
+      B: summarize(fairness.map((f) => Math.abs(f.meanB))).mean,
+    },
+    equilibrium: equilibriumStats(fairness.filter((f) => f.equilibrium).map((f) => f.equilibrium)),
+  };
+}
+
+// Only boards dealt with FAIR_EQ_MODE on carry equilibrium metrics.
+function equilibriumStats(eqs) {
+  if (!eqs.length) return null;
+  return {
+    boards: eqs.length,
+    gap: summarize(eqs.filter((e) => e.gap !== null).map((e) => e.gap)),
+    dominantRate: rate(eqs.filter((e) => e.dominant).length, eqs.length),
+    // boards dealt outside the equilibrium constraints: only older archives, the fallback now honours them
+    rejectedRate: rate(eqs.filter((e) => e.accepted === false).length, eqs.filter((e) => "accepted" in e).length),
+  };
+}
+
+// Boards actually played. A persistent board shows up in every round of its game but was dealt once.
+function playedFairness(records) {
+  const out = [];
+  records.forEach((record) => {
+    const seen = new Set();
+    (record.history || []).forEach((entry) => {
+      if (!entry.fairness || seen.has(entry.seed)) return;
+      seen.add(entry.seed);
+      out.push(entry.fairness);
+    });
+  });
+  return out;
+}
+
+function seatStats(records) {
+  const wins = { A: 0, B: 0, DRAW: 0 };
+  const rounds = { A: 0, B: 0, tie: 0 };
+  let forfeits = 0;
+  const finalA = [];
+  const finalB = [];
+
+  records.forEach((record) => {
+    wins[record.winner] = (wins[record.winner] || 0) + 1;
+    if (record.forfeit) forfeits++;
+    finalA.push(record.finalScores.A);
+    finalB.push(record.finalScores.B);
+    (record.history || []).forEach((entry) => {
+      if (entry.forfeit) return;
+      if (entry.delta.A > entry.delta.B) rounds.A++;
+      else if (entry.delta.B > entry.delta.A) rounds.B++;
+      else rounds.tie++;
+    });
+  });
+
+  const games = records.length;
+  const roundTotal = rounds.A + rounds.B + rounds.tie;
+  return {
+    games,
+    forfeits,
+    wins,
+    winRate: { A: rate(wins.A, games), B: rate(wins.B, games), draw: rate(wins.DRAW, games) },
+    finalScore: { A: summarize(finalA), B: summarize(finalB) },
+    roundWinRate: { A: rate(rounds.A, roundTotal), B: rate(rounds.B, roundTotal), tie: rate(rounds.tie, roundTotal) },
+  };
+}
+
+// records: archived games; simulated: fairness metrics of boards dealt just for the report.
+// AI games are left out of the seat numbers unless includeBots, since the AI plays a fixed seat.
+function fairnessReport({ records, simulated, includeBots = false }) {
+  const seatGames = includeBots ? records : records.filter((r) => !r.bot);
+  return {
+    generatedAt: new Date().toISOString(),
+    games: records.length,
+    played: boardStats(playedFairness(records)),
+    simulated: boardStats(simulated),
+    seats: { includeBots, ...seatStats(seatGames) },
+  };
+}
+
+module.exports = { fairnessReport };
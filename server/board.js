@@ -0,0 +1,354 @@
+// /opt/game/server/board.js
+// Fair board generation ("reject-sampling + scoring" + optional rubber-banding), driven by a seeded PRNG.
+// Every game gets a random seed and every round derives its own seed from it, so a board is fully
+// determined by (round seed, rules, scores before the round, generator options). That is what lets
+// a finished game's boards be rebuilt from its archive for audits and tests.
+
+const crypto = require("crypto");
+const { DEFAULT_RULES, isPersistent } = require("./rules");
+const { solveBimatrix, boardMatrices } = require("./nash");
+
+// Equilibrium checks enumerate supports, which grows fast; bigger boards keep the classic scorer only.
+const EQ_MAX_SIDE = 4;
+// equilibrium mode: the fallback pass samples up to this many times `candidates` boards
+const EQ_FALLBACK_ROUNDS = 4;
+
+// --------------------- Seeds / PRNG ---------------------
+function newSeed() {
+  return crypto.randomBytes(4).readUInt32BE(0);
+}
+
+function roundSeed(gameSeed, round) {
+  return crypto.createHash("sha256").update(`${gameSeed}:${round}`).digest().readUInt32BE(0);
+}
+
+// mulberry32: tiny, fast, good enough for dealing boards. Returns floats in [0, 1).
+function createRng(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let x = t;
+    x = Math.imul(x ^ (x >>> 15), x | 1);
+    x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// --------------------- Utils ---------------------
+function randInt(rng, min, max) {
+  return Math.floor(rng() * (max - min + 1)) + min;
+}
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+function mean(arr) {
+  return arr.reduce((s, x) => s + x, 0) / arr.length;
+}
+function std(arr) {
+  const m = mean(arr);
+  const v = arr.reduce((s, x) => s + (x - m) * (x - m), 0) / arr.length;
+  return Math.sqrt(v);
+}
+
+// The scorer's thresholds are tuned for a 3x3 board in [-60,60]. Other rulesets are judged on
+// that same scale: values are re-centred and stretched to ±60, and row/col sums are taken as if
+// each row/col had 3 cells.
+function normalizer(rules) {
+  const center = (rules.minValue + rules.maxValue) / 2;
+  const half = (rules.maxValue - rules.minValue) / 2;
+  return (v) => ((v - center) / half) * 60;
+}
+
+// A strategy that beats every other one of the same side against every opponent choice.
+function hasStrictlyDominant(M) {
+  return M.some((own, i) => M.every((other, k) => k === i || own.every((v, j) => v > other[j])));
+}
+
+function transpose(M) {
+  return M[0].map((_, j) => M.map((row) => row[j]));
+}
+
+// Equilibrium view of a board, on the normalized [-60,60] scale: the largest A/B payoff gap over
+// all equilibria found, and whether either side has a strictly dominant strategy.
+function equilibriumOf(board, rules) {
+  const norm = normalizer(rules);
+  const { A, B } = boardMatrices(board);
+  const nA = A.map((row) => row.map(norm));
+  const nB = B.map((row) => row.map(norm));
+  const equilibria = solveBimatrix(nA, nB);
+  return {
+    count: equilibria.length,
+    gap: equilibria.length ? Math.max(...equilibria.map((e) => Math.abs(e.payoffA - e.payoffB))) : null,
+    dominant: hasStrictlyDominant(A) || hasStrictlyDominant(transpose(B)),
+  };
+}
+
+// options: { fairMode, rubberBand, candidates, meanLimit, spreadLimit, extremeStart, maxBias, biasStep,
+//            eqMode, eqGap, eqNoDominant }
+function createBoardGenerator(options) {
+  const { fairMode, rubberBand, candidates, meanLimit, spreadLimit, extremeStart, maxBias, biasStep } = options;
+  const { eqMode, eqGap, eqNoDominant } = options;
+
+  function eqApplies(rules) {
+    return eqMode && rules.rows <= EQ_MAX_SIDE && rules.cols <= EQ_MAX_SIDE;
+  }
+
+  // Equilibrium-aware mode: the game itself has to be balanced, not just its row/col sums.
+  function eqAccepts(eq) {
+    if (eq.gap === null || eq.gap > eqGap) return false; // none found means a degenerate board
+    return !(eqNoDominant && eq.dominant);
+  }
+
+  // Each board is rules.rows x rules.cols: cell {a,b}, each in [rules.minValue, rules.maxValue].
+  function genPureRandomBoard(rng, rules) {
+    const board = [];
+    for (let r = 0; r < rules.rows; r++) {
+      const row = [];
+      for (let c = 0; c < rules.cols; c++) {
+        row.push({ a: randInt(rng, rules.minValue, rules.maxValue), b: randInt(rng, rules.minValue, rules.maxValue) });
+      }
+      board.push(row);
+    }
+    return board;
+  }
+
+  function scoreBoard(board, rules = DEFAULT_RULES) {
+    const rows = board.length;
+    const cols = board[0].length;
+    const norm = normalizer(rules);
+    const rowSumA = new Array(rows).fill(0);
+    const colSumB = new Array(cols).fill(0);
+    let extremePenalty = 0;
+    let rowWorstA = new Array(rows).fill(Infinity);
+    let colWorstB = new Array(cols).fill(Infinity);
+
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const a = norm(board[r][c].a);
+        const b = norm(board[r][c].b);
+        rowSumA[r] += a;
+        colSumB[c] += b;
+        rowWorstA[r] = Math.min(rowWorstA[r], a);
+        colWorstB[c] = Math.min(colWorstB[c], b);
+
+        // discourage near ±60 "one-cell decides" boards
+        extremePenalty += Math.max(0, Math.abs(a) - extremeStart) * 0.6;
+        extremePenalty += Math.max(0, Math.abs(b) - extremeStart) * 0.6;
+      }
+    }
+    for (let r = 0; r < rows; r++) rowSumA[r] *= 3 / cols;
+    for (let c = 0; c < cols; c++) colSumB[c] *= 3 / rows;
+
+    const meanA = mean(rowSumA);
+    const meanB = mean(colSumB);
+
+    const spreadA = Math.max(...rowSumA) - Math.min(...rowSumA);
+    const spreadB = Math.max(...colSumB) - Math.min(...colSumB);
+
+    // Game-theory guardrail: avoid "必输的选择"
+    // A picks row, so its guaranteed payoff is the row whose minimum a is largest.
+    // B picks col, so its guaranteed payoff is the column whose minimum b is largest.
+    const guaranteeA = Math.max(...rowWorstA);
+    const guaranteeB = Math.max(...colWorstB);
+
+    // Penalize if the guaranteed value for either side is far from 0
+    // (meaning one side has a dominating/losing pure strategy).
+    const dominancePenalty =
+      Math.max(0, Math.abs(guaranteeA) - 5) + Math.max(0, Math.abs(guaranteeB) - 5);
+
+    // Extra penalty if any single row/col is catastrophic for its chooser.
+    const catastrophicPenalty =
+      rowWorstA.reduce((s, v) => s + Math.max(0, -v - 12), 0) +
+      colWorstB.reduce((s, v) => s + Math.max(0, -v - 12), 0);
+
+    // weights
+    const wStd = 1.2;
+    const wMean = 1.2;
+    const wSpread = 0.15;
+    const wExtreme = 1.0;
+    const wDominance = 1.1;
+    const wCatastrophic = 0.6;
+
+    const score =
+      wStd * (std(rowSumA) + std(colSumB)) +
+      wMean * (Math.abs(meanA) + Math.abs(meanB)) +
+      wSpread * (spreadA + spreadB) +
+      wExtreme * extremePenalty +
+      wDominance * dominancePenalty +
+      wCatastrophic * catastrophicPenalty;
+
+    return {
+      score,
+      rowSumA,
+      colSumB,
+      meanA,
+      meanB,
+      spreadA,
+      spreadB,
+      stdA: std(rowSumA),
+      stdB: std(colSumB),
+      extremePenalty,
+      dominancePenalty,
+      catastrophicPenalty,
+    };
+  }
+
+  function genCandidateBoard(rng, rules, biasA, biasB) {
+    const { minValue, maxValue } = rules;
+    const board = [];
+    for (let r = 0; r < rules.rows; r++) {
+      const row = [];
+      for (let c = 0; c < rules.cols; c++) {
+        const a = clamp(randInt(rng, minValue, maxValue) + biasA, minValue, maxValue);
+        const b = clamp(randInt(rng, minValue, maxValue) + biasB, minValue, maxValue);
+        row.push({ a, b });
+      }
+      board.push(row);
+    }
+    return board;
+  }
+
+  // A board where every outcome pays both sides the midpoint: no equilibrium gap, nothing dominant.
+  function genFlatBoard(rules) {
+    const mid = Math.round((rules.minValue + rules.maxValue) / 2);
+    return Array.from({ length: rules.rows }, () => Array.from({ length: rules.cols }, () => ({ a: mid, b: mid })));
+  }
+
+  // seed: the round seed. Same seed + rules + scores + options -> same board.
+  // Returns { board, fairness }: the scorer's metrics for the chosen board, plus which pass found it.
+  // Pass 1 only keeps boards within every hard constraint, the equilibrium ones included. When none
+  // of its candidates qualifies, pass 2 drops the mean/spread limits and keeps the best score. In
+  // equilibrium mode the equilibrium constraints still hold there, over up to EQ_FALLBACK_ROUNDS times
+  // as many candidates; if even that finds nothing, pass 3 deals a flat board, which meets them
+  // trivially. A board that breaks the equilibrium rules is never dealt.
+  function dealFairBoard(rules = DEFAULT_RULES, scores = { A: 0, B: 0 }, seed = newSeed()) {
+    const rng = createRng(seed);
+    if (!fairMode) {
+      const board = genPureRandomBoard(rng, rules);
+      return { board, fairness: fairnessOf(board, scoreBoard(board, rules), null) };
+    }
+
+    // rubber-banding: tiny bias against leader, for anti-snowball
+    let biasA = 0;
+    let biasB = 0;
+    if (rubberBand) {
+      const diff = (scores.A || 0) - (scores.B || 0); // A领先为正
+      const bias = clamp(Math.round(diff / biasStep), -maxBias, maxBias);
+      // maxBias is in [-60,60] units, scale it to this room's value range
+      const unit = (rules.maxValue - rules.minValue) / 120;
+      biasA = -Math.round(bias * unit);
+      biasB = +Math.round(bias * unit);
+    }
+
+    let best = null;
+    let pass = 1;
+    const checkEq = eqApplies(rules);
+
+    // pass 1: hard constraints
+    for (let i = 0; i < candidates; i++) {
+      const board = genCandidateBoard(rng, rules, biasA, biasB);
+      const s = scoreBoard(board, rules);
+
+      if (Math.abs(s.meanA) > meanLimit) continue;
+      if (Math.abs(s.meanB) > meanLimit) continue;
+      if (s.spreadA > spreadLimit) continue;
+      if (s.spreadB > spreadLimit) continue;
+      if (best && s.score >= best.score) continue;
+      // the expensive check last, and only for a candidate that would win
+      if (checkEq && !eqAccepts(equilibriumOf(board, rules))) continue;
+
+      best = { board, ...s };
+    }
+
+    // pass 2: fallback — nothing met the hard limits, pick the best score (equilibrium rules still apply)
+    if (!best) {
+      pass = 2;
+      const tries = checkEq ? candidates * EQ_FALLBACK_ROUNDS : candidates;
+      for (let i = 0; i < tries; i++) {
+        const board = genCandidateBoard(rng, rules, biasA, biasB);
+        const s = scoreBoard(board, rules);
+        if (best && s.score >= best.score) continue;
+        if (checkEq && !eqAccepts(equilibriumOf(board, rules))) continue;
+        best = { board, ...s };
+      }
+    }
+
+    // pass 3: equilibrium mode only, no sampled board met the equilibrium rules
+    if (!best) {
+      pass = 3;
+      const board = genFlatBoard(rules);
+      best = { board, ...scoreBoard(board, rules) };
+    }
+
+    const { board, ...metrics } = best;
+    const fairness = fairnessOf(board, metrics, pass);
+    if (checkEq) {
+      const eq = equilibriumOf(board, rules);
+      fairness.equilibrium = { ...roundEq(eq), accepted: eqAccepts(eq) };
+    }
+    return { board, fairness };
+  }
+
+  function genFairBoard(rules, scores, seed) {
+    return dealFairBoard(rules, scores, seed).board;
+  }
+
+  // Rebuilds every round's board of a finished game from its seed and recorded score path.
+  // rounds: [{ round, scoresAfter, board }] in play order (history entries). Each result carries the
+  // seed and scores its board was dealt with; a persistent board was dealt once, before round 1.
+  function regenerateBoards({ seed, rules = DEFAULT_RULES, rounds }) {
+    const persistent = isPersistent(rules);
+    let scores = { A: 0, B: 0 };
+    let dealt = null; // { seed, scores, board } of the board in play
+    return rounds.map((r, i) => {
+      if (!persistent || i === 0) {
+        const boardSeed = roundSeed(seed, r.round);
+        dealt = { seed: boardSeed, scores, board: genFairBoard(rules, scores, boardSeed) };
+      }
+      scores = r.scoresAfter;
+      return { round: r.round, ...dealt, matches: sameValues(dealt.board, r.board) };
+    });
+  }
+
+  return { dealFairBoard, genFairBoard, regenerateBoards, options: { ...options } };
+}
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// What gets stored with each round: the scorer's metrics (rounded), the pass that produced the
+// board (1 = met the hard limits, 2 = fallback, 3 = flat board, null = FAIR_MODE off) and its pure equilibria.
+function fairnessOf(board, metrics, pass) {
+  const fairness = { pass, pureNash: pureNashCount(board) };
+  for (const [key, value] of Object.entries(metrics)) {
+    fairness[key] = Array.isArray(value) ? value.map(round2) : round2(value);
+  }
+  return fairness;
+}
+
+function roundEq(eq) {
+  return { ...eq, gap: eq.gap === null ? null : round2(eq.gap) };
+}
+
+// Cells where neither side gains by switching alone: a is the best in its column for A,
+// b the best in its row for B.
+function pureNashCount(board) {
+  let count = 0;
+  board.forEach((row, r) =>
+    row.forEach((cell, c) => {
+      const bestA = Math.max(...board.map((x) => x[c].a));
+      const bestB = Math.max(...board[r].map((x) => x.b));
+      if (cell.a === bestA && cell.b === bestB) count++;
+    })
+  );
+  return count;
+}
+
+// Compares cell values only; a recorded persistent board also carries `used` marks.
+function sameValues(x, y) {
+  if (!Array.isArray(x) || !Array.isArray(y) || x.length !== y.length) return false;
+  return x.every(
+    (row, r) => row.length === y[r].length && row.every((cell, c) => cell.a === y[r][c]?.a && cell.b === y[r][c]?.b)
+  );
+}
+
+module.exports = { createBoardGenerator, newSeed, roundSeed, createRng };
@@ -0,0 +1,75 @@
+// /opt/game/server/bot.js
+// Server-side AI opponent. A bot only ever looks at the board, never at the opponent's pick.
+// Strategies:
+//   random  - uniform row/col
+//   maximin - pure strategy with the best worst case for its own payoff
+//   nash    - samples from a mixed-strategy Nash equilibrium of the current board
+// On a persistent board, rows/cols whose cells are all used are never picked, and used cells
+// are ignored (maximin) or scored below every real payoff (nash) when weighing an option.
+
+const { solveBimatrix, boardMatrices } = require("./nash");
+
+const BOT_STRATEGIES = ["random", "maximin", "nash"];
+
+function pickRandom(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+function sampleMix(probs) {
+  let x = Math.random();
+  for (let i = 0; i < probs.length; i++) {
+    x -= probs[i];
+    if (x <= 0) return i;
+  }
+  return probs.length - 1;
+}
+
+const transpose = (m) => m[0].map((_, c) => m.map((row) => row[c]));
+
+// Own view of the board oriented so that rows are the bot's options: { payoff, used }.
+function ownCells(board, team) {
+  const cells = board.map((row) => row.map((cell) => ({ payoff: team === "A" ? cell.a : cell.b, used: !!cell.used })));
+  return team === "A" ? cells : transpose(cells);
+}
+
+// Options that still have at least one unused cell.
+function openOptions(board, team) {
+  return ownCells(board, team)
+    .map((cells, i) => (cells.some((c) => !c.used) ? i : -1))
+    .filter((i) => i >= 0);
+}
+
+function maximinPick(board, team) {
+  const cells = ownCells(board, team);
+  const options = openOptions(board, team);
+  const worst = options.map((i) => Math.min(...cells[i].filter((c) => !c.used).map((c) => c.payoff)));
+  const best = Math.max(...worst);
+  return pickRandom(options.filter((_, k) => worst[k] === best));
+}
+
+function nashPick(board, team) {
+  // solve the game left over once exhausted rows and cols are gone
+  const rows = openOptions(board, "A");
+  const cols = openOptions(board, "B");
+  const sub = rows.map((r) => cols.map((c) => board[r][c]));
+  // a used intersection only leads to a clash replay: score it below every real payoff so
+  // neither side's equilibrium strategy aims for it
+  const open = sub.flat().filter((cell) => !cell.used);
+  const floor = Math.min(...open.map((cell) => Math.min(cell.a, cell.b))) - 1;
+  const { A, B } = boardMatrices(sub.map((row) => row.map((cell) => (cell.used ? { a: floor, b: floor } : cell))));
+  const equilibria = solveBimatrix(A, B);
+  if (!equilibria.length) return maximinPick(board, team);
+
+  // several equilibria: prefer the one that pays the bot the most
+  const payoffKey = team === "A" ? "payoffA" : "payoffB";
+  const eq = equilibria.reduce((best, e) => (e[payoffKey] > best[payoffKey] ? e : best));
+  return team === "A" ? rows[sampleMix(eq.p)] : cols[sampleMix(eq.q)];
+}
+
+function botPick(board, team, strategy) {
+  if (strategy === "maximin") return maximinPick(board, team);
+  if (strategy === "nash") return nashPick(board, team);
+  return pickRandom(openOptions(board, team));
+}
+
+module.exports = { BOT_STRATEGIES, botPick };
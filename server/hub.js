@@ -0,0 +1,266 @@
+// /opt/game/server/hub.js
+// Cluster hub: a small local stand-in for Redis so several server instances on one box can share
+// pub/sub and a key/value store (room ownership, room listings). Newline-delimited JSON over TCP:
+//   request  { id, op, ...args }  ->  { id, ok: true, value } | { id, ok: false, error }
+//   message  { channel, message }    (pushed to every connection subscribed to `channel`)
+// Run it once next to the game servers:  node hub.js  (HUB_HOST=127.0.0.1, HUB_PORT=7070)
+
+const net = require("net");
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter");
+const { logger } = require("./logger");
+
+const REQUEST_TIMEOUT_MS = 5000;
+const RECONNECT_MS = 1000;
+const SWEEP_MS = 10_000;
+
+// --------------------- Broker ---------------------
+// The hub's state, independent of the transport. Keys may carry a TTL (ttlMs).
+function createHub() {
+  const values = new Map(); // key -> { value, expiresAt }
+  const subscribers = new Map(); // channel -> Set<deliver(channel, message)>
+
+  function live(key) {
+    const entry = values.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      values.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  function put(key, value, ttlMs) {
+    values.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    return true;
+  }
+
+  const ops = {
+    get: ({ key }) => live(key)?.value ?? null,
+    set: ({ key, value, ttlMs }) => put(key, value, ttlMs),
+    // set only if absent: the primitive behind cluster-wide unique ids
+    setnx: ({ key, value, ttlMs }) => (live(key) ? false : put(key, value, ttlMs)),
+    del: ({ key }) => !!live(key) && values.delete(key),
+    scan: ({ prefix }) =>
+      Array.from(values.keys())
+        .filter((key) => key.startsWith(prefix) && live(key))
+        .map((key) => ({ key, value: values.get(key).value })),
+    publish: ({ channel, message }) => {
+      const subs = subscribers.get(channel);
+      if (subs) subs.forEach((deliver) => deliver(channel, message));
+      return subs ? subs.size : 0;
+    },
+  };
+
+  function call(op, args) {
+    if (!ops[op]) throw new Error(`unknown hub op: ${op}`);
+    return ops[op](args);
+  }
+
+  function subscribe(channel, deliver) {
+    if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+    subscribers.get(channel).add(deliver);
+  }
+
+  function unsubscribe(channel, deliver) {
+    const subs = subscribers.get(channel);
+    if (!subs) return;
+    subs.delete(deliver);
+    if (!subs.size) subscribers.delete(channel);
+  }
+
+  // expired keys nobody reads again would otherwise stay forever
+  const sweeper = setInterval(() => values.forEach((_, key) => live(key)), SWEEP_MS);
+  sweeper.unref();
+
+  return { call, subscribe, unsubscribe, close: () => clearInterval(sweeper) };
+}
+
+// Splits a stream into JSON lines; unparsable lines are dropped.
+function onLines(stream, handle) {
+  let buffer = "";
+  stream.setEncoding("utf8");
+  stream.on("data", (chunk) => {
+    buffer += chunk;
+    let nl;
+    while ((nl = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, nl);
+      buffer = buffer.slice(nl + 1);
+      if (!line) continue;
+      let msg;
+      try {
+        msg = JSON.parse(line);
+      } catch (e) {
+        continue;
+      }
+      handle(msg);
+    }
+  });
+}
+
+function serveHub(hub, { host = "127.0.0.1", port = 7070 } = {}) {
+  const server = net.createServer((conn) => {
+    const send = (msg) => conn.writable && conn.write(`${JSON.stringify(msg)}\n`);
+    const deliver = (channel, message) => send({ channel, message });
+    const channels = new Set();
+
+    onLines(conn, ({ id, op, ...args }) => {
+      try {
+        if (op === "subscribe") {
+          channels.add(args.channel);
+          hub.subscribe(args.channel, deliver);
+          return send({ id, ok: true, value: true });
+        }
+        send({ id, ok: true, value: hub.call(op, args) });
+      } catch (e) {
+        send({ id, ok: false, error: e.message });
+      }
+    });
+    conn.on("error", () => {}); // a dropped instance shows up as "close"
+    conn.on("close", () => channels.forEach((channel) => hub.unsubscribe(channel, deliver)));
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+// --------------------- Client ---------------------
+// address: "host:port". Reconnects on its own and re-subscribes; onReconnect listeners run after
+// every reconnect so instances can re-announce state the hub lost (e.g. after a hub restart).
+function connectHub(address) {
+  const [host, port] = String(address).split(":");
+  const pending = new Map(); // id -> { resolve, reject, timer }
+  const handlers = new Map(); // channel -> handler
+  const reconnectListeners = [];
+  let conn = null;
+  let connected = false;
+  let closed = false;
+  let nextId = 1;
+  let everConnected = false;
+  let warned = false;
+  let resolveReady;
+  const ready = new Promise((resolve) => (resolveReady = resolve));
+
+  function failPending(message) {
+    pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error(message));
+    });
+    pending.clear();
+  }
+
+  function request(op, args = {}) {
+    if (!connected) return Promise.reject(new Error("hub unavailable"));
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`hub ${op} timed out`));
+      }, REQUEST_TIMEOUT_MS);
+      pending.set(id, { resolve, reject, timer });
+      conn.write(`${JSON.stringify({ id, op, ...args })}\n`);
+    });
+  }
+
+  function open() {
+    conn = net.connect(Number(port), host);
+    conn.on("connect", () => {
+      connected = true;
+      warned = false;
+      logger.info("hub.connect", { address });
+      handlers.forEach((_, channel) => request("subscribe", { channel }).catch(() => {}));
+      if (everConnected) reconnectListeners.forEach((fn) => fn());
+      everConnected = true;
+      resolveReady();
+    });
+    onLines(conn, (msg) => {
+      if (msg.channel !== undefined) {
+        const handler = handlers.get(msg.channel);
+        if (handler) handler(msg.message);
+        return;
+      }
+      const req = pending.get(msg.id);
+      if (!req) return;
+      pending.delete(msg.id);
+      clearTimeout(req.timer);
+      if (msg.ok) req.resolve(msg.value);
+      else req.reject(new Error(msg.error));
+    });
+    conn.on("error", (e) => {
+      // retried every RECONNECT_MS; one line per outage is enough
+      if (!warned) logger.warn("hub.unreachable", { address, error: e.message });
+      warned = true;
+    });
+    conn.on("close", () => {
+      const wasConnected = connected;
+      connected = false;
+      failPending("hub connection lost");
+      if (closed) return;
+      if (wasConnected) logger.warn("hub.disconnect", { address });
+      setTimeout(open, RECONNECT_MS);
+    });
+  }
+  open();
+
+  return {
+    ready,
+    get connected() {
+      return connected;
+    },
+    get: (key) => request("get", { key }),
+    set: (key, value, { ttlMs } = {}) => request("set", { key, value, ttlMs }),
+    setnx: (key, value, { ttlMs } = {}) => request("setnx", { key, value, ttlMs }),
+    del: (key) => request("del", { key }),
+    scan: (prefix) => request("scan", { prefix }),
+    publish: (channel, message) => request("publish", { channel, message }),
+    subscribe(channel, handler) {
+      handlers.set(channel, handler);
+      if (connected) return request("subscribe", { channel });
+      return Promise.resolve(false); // sent on connect
+    },
+    onReconnect: (fn) => reconnectListeners.push(fn),
+    close() {
+      closed = true;
+      if (conn) conn.destroy();
+    },
+  };
+}
+
+// --------------------- Socket.IO adapter ---------------------
+// Broadcasts, socketsJoin/Leave, fetchSockets and serverSideEmit reach every instance through the hub.
+// Packets travel as JSON, so only JSON-safe payloads (everything this server emits) are supported.
+function hubAdapter(hub) {
+  return class HubAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, {});
+      this.channel = `sio#${nsp.name}#`;
+      this.responseChannel = `${this.channel}${this.uid}#`;
+      hub.subscribe(this.channel, (message) => this.onMessage(message));
+      hub.subscribe(this.responseChannel, (response) => this.onResponse(response));
+      // Socket.IO calls init() right away, possibly before the hub is reachable: say hello again once it is
+      hub.ready.then(() => this.init());
+      hub.onReconnect(() => this.init());
+    }
+
+    doPublish(message) {
+      return hub.publish(this.channel, message).then(() => "");
+    }
+
+    doPublishResponse(requesterUid, response) {
+      return hub.publish(`${this.channel}${requesterUid}#`, response).then(() => {});
+    }
+  };
+}
+
+module.exports = { createHub, serveHub, connectHub, hubAdapter };
+
+if (require.main === module) {
+  const host = process.env.HUB_HOST || "127.0.0.1";
+  const port = Number(process.env.HUB_PORT || 7070);
+  serveHub(createHub(), { host, port })
+    .then(() => logger.info("hub.start", { host, port }))
+    .catch((e) => {
+      logger.error("hub.startFailed", { host, port, error: e });
+      process.exit(1);
+    });
+}
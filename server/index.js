@@ -1,12 +1,31 @@
 // /opt/game/server/index.js
 // Matrix Game Server (Express + Socket.IO)
-// Rule update: every round regenerates ALL 9 cells (18 numbers: a/b per cell).
-// Fairness: uses common "reject-sampling + scoring" board generation + optional rubber-banding.
+// Rule update: every round regenerates ALL cells (rows x cols from the room's rules, a/b per cell).
+// Fairness: uses common "reject-sampling + scoring" board generation + optional rubber-banding (board.js),
+// seeded per game so every board can be regenerated later.
 
 const express = require("express");
 const http = require("http");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
 const cors = require("cors");
 const { Server } = require("socket.io");
+const { botPick } = require("./bot");
+const { createStore } = require("./store");
+const { buildReplay } = require("./replay");
+const { fairnessReport } = require("./analytics");
+const { createMetrics } = require("./metrics");
+const { logger } = require("./logger");
+const { createAccounts, publicUser } = require("./accounts");
+const { createRatings } = require("./ratings");
+const { createMatchQueue } = require("./matchmaking");
+const { createBoardGenerator, newSeed, roundSeed } = require("./board");
+const { connectHub, hubAdapter } = require("./hub");
+const { createLocalRoomStore, createSharedRoomStore } = require("./roomstore");
+const { DEFAULT_RULES, parseRules, isDefaultRules, isPersistent, optionCount } = require("./rules");
+const { check, EVENTS, BODIES } = require("./schema");
+const { createRateLimiter } = require("./ratelimit");
 
 const PORT = process.env.PORT || 3000;
 const DISCONNECT_GRACE_MS = Number(process.env.DISCONNECT_GRACE_MS || 60_000);
@@ -30,14 +49,86 @@ const SPREAD_LIMIT = Number(process.env.FAIR_SPREAD_LIMIT || 90); // max-min <=
 const EXTREME_START = Number(process.env.FAIR_EXTREME_START || 45); // penalty after abs(x)>45
 const MAX_BIAS = Number(process.env.FAIR_MAX_BIAS || 6); // rubber band max bias magnitude
 const BIAS_STEP = Number(process.env.FAIR_BIAS_STEP || 25); // scoreDiff/25 -> bias
+const EQ_MODE = String(process.env.FAIR_EQ_MODE || "0") === "1"; // 1=also check the Nash equilibria of each board
+const EQ_GAP = Number(process.env.FAIR_EQ_GAP || 20); // max |payoffA-payoffB| at equilibrium, on the [-60,60] scale
+const EQ_NO_DOMINANT = String(process.env.FAIR_EQ_NO_DOMINANT || "1") === "1"; // reject strictly dominant strategies
 const ROUND_DELAY_MS = Number(process.env.ROUND_DELAY_MS || 700);
 const CREATE_COOLDOWN_MS = Number(process.env.CREATE_COOLDOWN_MS || 3000);
-const lastCreateByIp = new Map();
+const BOARD_COOLDOWN_MS = Number(process.env.BOARD_COOLDOWN_MS || 5000); // POST /api/boards: one board per IP this often, 0 = no limit
+const BOT_THINK_MS = Number(process.env.BOT_THINK_MS || 900); // average AI "thinking" delay
+const REVEAL_TIMEOUT_MS = Number(process.env.REVEAL_TIMEOUT_MS || 15_000); // commit-reveal: time to reveal
+const COMMIT_FORFEIT_POINTS = Number(process.env.COMMIT_FORFEIT_POINTS || 30); // penalty for a bad/missing reveal
+const PICK_TIMEOUT_MS = Number(process.env.PICK_TIMEOUT_MS ?? 30_000); // per-round time to pick, 0 = no limit
+const PICK_TIMEOUT_POLICY = process.env.PICK_TIMEOUT_POLICY || "random"; // auto-pick strategy, any AI strategy
+const PICK_TIMEOUT_FORFEIT = Number(process.env.PICK_TIMEOUT_FORFEIT ?? 3); // consecutive timeouts that lose the game, 0 = never
+const CLASH_REPLAY_LIMIT = Number(process.env.CLASH_REPLAY_LIMIT ?? 3); // persistent board: replays per round before the server settles it
+
+// Abuse protection: token buckets per socket and per client IP (see ratelimit.js)
+const RATE_LIMIT = String(process.env.RATE_LIMIT || "1") === "1"; // 1=on,0=off
+const RATE_SOCKET_BURST = Number(process.env.RATE_SOCKET_BURST || 30); // events one socket may send at once
+const RATE_SOCKET_PER_SEC = Number(process.env.RATE_SOCKET_PER_SEC || 10); // ...refilled per second
+const RATE_IP_BURST = Number(process.env.RATE_IP_BURST || 120); // socket events + API requests of one IP
+const RATE_IP_PER_SEC = Number(process.env.RATE_IP_PER_SEC || 40);
+const RATE_BAN_STRIKES = Number(process.env.RATE_BAN_STRIKES || 50); // one socket's rejected events within the window -> kicked, 0 = never
+const RATE_IP_BAN_STRIKES = Number(process.env.RATE_IP_BAN_STRIKES || 200); // one IP's rejected events/requests -> IP banned, 0 = never
+const RATE_BAN_WINDOW_MS = Number(process.env.RATE_BAN_WINDOW_MS || 60_000);
+const RATE_BAN_MS = Number(process.env.RATE_BAN_MS || 5 * 60_000);
+// Client IPs come from X-Forwarded-For only when the connection comes from one of these (Nginx on the same box)
+const TRUSTED_PROXIES = (process.env.TRUSTED_PROXIES ?? "127.0.0.1,::1")
+  .split(",")
+  .map((s) => normIp(s.trim()))
+  .filter(Boolean);
+
+// Persistence: STORE_DRIVER=file|memory, files live under DATA_DIR
+const STORE_DRIVER = process.env.STORE_DRIVER || "file";
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS || 30 * 24 * 3600_000); // login lifetime
+const GUEST_TTL_MS = Number(process.env.GUEST_TTL_MS || 24 * 3600_000); // guest account + session lifetime
+const GUEST_COOLDOWN_MS = Number(process.env.GUEST_COOLDOWN_MS || 10_000); // one new guest per IP this often, 0 = no limit
+const ACCOUNT_SWEEP_MS = 10 * 60_000;
+const ELO_K = Number(process.env.ELO_K || 32); // rating points at stake per rated game
+const ELO_INITIAL = Number(process.env.ELO_INITIAL || 1500);
+const MATCH_BAND_START = Number(process.env.MATCH_BAND_START || 100); // rated queue: initial rating gap allowed
+const MATCH_BAND_STEP = Number(process.env.MATCH_BAND_STEP || 50); // ...widened by this much
+const MATCH_BAND_INTERVAL_MS = Number(process.env.MATCH_BAND_INTERVAL_MS || 5000); // ...every this long
+const MATCH_BOT_OFFER_MS = Number(process.env.MATCH_BOT_OFFER_MS || 30_000); // suggest the AI after this wait
+const MATCH_TICK_MS = 1000;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || ""; // admin API + page; unset = disabled
+
+// Cluster mode: several instances behind one Nginx share rooms and broadcasts through hub.js.
+const CLUSTER_HUB = process.env.CLUSTER_HUB || ""; // "127.0.0.1:7070"; unset = single instance
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}:${PORT}`; // must survive restarts
+const SHUTDOWN_DRAIN_MS = Number(process.env.SHUTDOWN_DRAIN_MS ?? 60_000); // time running games get to finish on SIGTERM
+// Idle rooms are closed after these (since the last player action), 0 = never; running games never expire
+const ROOM_TTL_MS = {
+  unjoined: Number(process.env.ROOM_UNJOINED_TTL_MS ?? 10 * 60_000), // no player ever sat down
+  waiting: Number(process.env.ROOM_WAITING_TTL_MS ?? 30 * 60_000), // waiting for a second player
+  finished: Number(process.env.ROOM_FINISHED_TTL_MS ?? 10 * 60_000), // game over, nobody starts a rematch
+};
+const DRAIN_POLL_MS = 500;
+
+function normIp(ip) {
+  return String(ip || "").replace(/^::ffff:/, "");
+}
+
+// Walks X-Forwarded-For from the right, past trusted proxies only: the first hop we don't
+// trust is the client. Anything a client writes into the header itself sits further left.
+function clientIp(remoteAddress, forwardedFor) {
+  let ip = normIp(remoteAddress);
+  const hops = String(forwardedFor || "")
+    .split(",")
+    .map((s) => normIp(s.trim()))
+    .filter(Boolean);
+  while (TRUSTED_PROXIES.includes(ip) && hops.length) ip = hops.pop();
+  return ip || "unknown";
+}
 
 function getIp(req) {
-  const forwarded = (req.headers["x-forwarded-for"] || "").split(",")[0].trim();
-  if (forwarded) return forwarded;
-  return req.ip || "unknown";
+  return clientIp(req.socket.remoteAddress, req.headers["x-forwarded-for"]);
+}
+
+function socketIp(socket) {
+  return clientIp(socket.handshake.address, socket.handshake.headers["x-forwarded-for"]);
 }
 
 function normOrigin(origin) {
@@ -51,8 +142,6 @@ function isAllowedOrigin(origin) {
 }
 
 const app = express();
-app.use(express.json());
-
 // ✅ Don't throw errors in CORS callback (prevents 500). Just deny.
 app.use(
   cors({
@@ -61,7 +150,21 @@ app.use(
   })
 );
 
+// after cors(), so the browser can read these errors too
+app.use(express.json());
+// body-parser errors (malformed JSON, oversized body) answer like any other invalid body
+app.use((err, req, res, next) => {
+  if (!err.type || !err.type.startsWith("entity.")) return next(err);
+  const tooLarge = err.type === "entity.too.large";
+  res.status(err.status || 400).json({
+    code: tooLarge ? "BODY_TOO_LARGE" : "INVALID_PAYLOAD",
+    field: null,
+    message: tooLarge ? "请求体过大" : "请求体不是合法的 JSON",
+  });
+});
+
 const server = http.createServer(app);
+const hub = CLUSTER_HUB ? connectHub(CLUSTER_HUB) : null;
 
 const io = new Server(server, {
   cors: {
@@ -69,158 +172,172 @@ const io = new Server(server, {
     credentials: true,
   },
   // keep defaults; nginx handles websocket upgrade
+  ...(hub && { adapter: hubAdapter(hub) }),
 });
 
 // --------------------- Utils ---------------------
-function randInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
-}
 function clamp(v, min, max) {
   return Math.max(min, Math.min(max, v));
 }
-function mean(arr) {
-  return arr.reduce((s, x) => s + x, 0) / arr.length;
+function genToken() {
+  return crypto.randomBytes(16).toString("hex");
 }
-function std(arr) {
-  const m = mean(arr);
-  const v = arr.reduce((s, x) => s + (x - m) * (x - m), 0) / arr.length;
-  return Math.sqrt(v);
+function tokenEquals(given, expected) {
+  if (typeof given !== "string" || typeof expected !== "string") return false;
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
 }
 
-// --------------------- Fair board generation ---------------------
-// Each board is 3x3: cell {a,b}, each in [-60,60].
-
-function genPureRandomBoard() {
-  const board = [];
-  for (let r = 0; r < 3; r++) {
-    const row = [];
-    for (let c = 0; c < 3; c++) {
-      row.push({ a: randInt(-60, 60), b: randInt(-60, 60) });
-    }
-    board.push(row);
-  }
-  return board;
-}
-
-function scoreBoard(board) {
-  const rowSumA = [0, 0, 0];
-  const colSumB = [0, 0, 0];
-  let extremePenalty = 0;
-  let rowWorstA = [Infinity, Infinity, Infinity];
-  let colWorstB = [Infinity, Infinity, Infinity];
-
-  for (let r = 0; r < 3; r++) {
-    for (let c = 0; c < 3; c++) {
-      const a = board[r][c].a;
-      const b = board[r][c].b;
-      rowSumA[r] += a;
-      colSumB[c] += b;
-      rowWorstA[r] = Math.min(rowWorstA[r], a);
-      colWorstB[c] = Math.min(colWorstB[c], b);
-
-      // discourage near ±60 "one-cell decides" boards
-      extremePenalty += Math.max(0, Math.abs(a) - EXTREME_START) * 0.6;
-      extremePenalty += Math.max(0, Math.abs(b) - EXTREME_START) * 0.6;
-    }
-  }
-
-  const meanA = mean(rowSumA);
-  const meanB = mean(colSumB);
-
-  const spreadA = Math.max(...rowSumA) - Math.min(...rowSumA);
-  const spreadB = Math.max(...colSumB) - Math.min(...colSumB);
-
-  // Game-theory guardrail: avoid "必输的选择"
-  // A picks row, so its guaranteed payoff is the row whose minimum a is largest.
-  // B picks col, so its guaranteed payoff is the column whose minimum b is largest.
-  const guaranteeA = Math.max(...rowWorstA);
-  const guaranteeB = Math.max(...colWorstB);
-
-  // Penalize if the guaranteed value for either side is far from 0
-  // (meaning one side has a dominating/losing pure strategy).
-  const dominancePenalty =
-    Math.max(0, Math.abs(guaranteeA) - 5) + Math.max(0, Math.abs(guaranteeB) - 5);
-
-  // Extra penalty if any single row/col is catastrophic for its chooser.
-  const catastrophicPenalty =
-    rowWorstA.reduce((s, v) => s + Math.max(0, -v - 12), 0) +
-    colWorstB.reduce((s, v) => s + Math.max(0, -v - 12), 0);
-
-  // weights
-  const wStd = 1.2;
-  const wMean = 1.2;
-  const wSpread = 0.15;
-  const wExtreme = 1.0;
-  const wDominance = 1.1;
-  const wCatastrophic = 0.6;
-
-  const score =
-    wStd * (std(rowSumA) + std(colSumB)) +
-    wMean * (Math.abs(meanA) + Math.abs(meanB)) +
-    wSpread * (spreadA + spreadB) +
-    wExtreme * extremePenalty +
-    wDominance * dominancePenalty +
-    wCatastrophic * catastrophicPenalty;
-
-  return { score, rowSumA, colSumB, meanA, meanB, spreadA, spreadB };
-}
-
-function genCandidateBoard(biasA, biasB) {
-  const board = [];
-  for (let r = 0; r < 3; r++) {
-    const row = [];
-    for (let c = 0; c < 3; c++) {
-      const a = clamp(randInt(-60, 60) + biasA, -60, 60);
-      const b = clamp(randInt(-60, 60) + biasB, -60, 60);
-      row.push({ a, b });
+// --------------------- Metrics ---------------------
+// Scraped from /api/metrics. Gauges are read at scrape time; the rest is counted where it happens.
+const metrics = createMetrics("matrix_");
+const gamesStarted = metrics.counter("games_started_total", "Games started (including rematches)");
+const gamesCompleted = metrics.counter("games_completed_total", "Games that reached game over, by result (normal|forfeit)");
+["normal", "forfeit"].forEach((result) => gamesCompleted.inc({ result }, 0));
+const gameDuration = metrics.histogram("game_duration_seconds", "Wall time from game start to game over", [
+  60, 120, 300, 600, 900, 1800, 3600,
+]);
+const seatDisconnects = metrics.counter("seat_disconnects_total", "Seated players whose socket disconnected");
+const seatReconnects = metrics.counter("seat_reconnects_total", "Seats reclaimed mid-game within the reconnect grace window");
+const graceTimeouts = metrics.counter("grace_timeouts_total", "Reconnect grace windows that expired and ended the game");
+const createThrottled = metrics.counter("room_create_throttled_total", "POST /api/rooms rejected with 429 by CREATE_COOLDOWN_MS");
+const rateLimited = metrics.counter("rate_limited_total", "Socket events and API requests dropped by the rate limiter, by bucket (socket|ip)");
+const roomsExpired = metrics.counter("rooms_expired_total", "Idle rooms closed by the room sweeper, by reason (unjoined|waiting|finished)");
+Object.keys(ROOM_TTL_MS).forEach((reason) => roomsExpired.inc({ reason }, 0));
+const rateBans = metrics.counter("rate_bans_total", "Clients (IPs) temporarily banned for repeatedly hitting the rate limits");
+const rateKicks = metrics.counter("rate_kicks_total", "Sockets disconnected for repeatedly hitting the rate limits");
+const boardLatency = metrics.histogram(
+  "board_generation_seconds",
+  "genFairBoard latency per dealt board, by the pass that produced it (1, 2 = fallback, 3 = flat board, none = FAIR_MODE off)",
+  [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25]
+);
+const boardFallbacks = metrics.counter(
+  "board_fallback_total",
+  "Fallback boards dealt, by how the equilibrium constraints were met (ok = sampled, flat = flat board, off = not checked)"
+);
+["ok", "flat", "off"].forEach((equilibrium) => boardFallbacks.inc({ equilibrium }, 0));
+
+// --------------------- Rate limiting ---------------------
+// Every socket event and API request spends a token from its IP's bucket, socket events also from
+// their socket's. Events that make the server rebroadcast room state cost more. A socket whose
+// events keep getting rejected is disconnected; only an IP that keeps getting rejected across all
+// its sockets and requests (a much higher bar: many players may share a NAT) is banned for
+// RATE_BAN_MS: every socket of it on this instance is dropped and new connections and API
+// requests are refused. Limits are per instance.
+const limiter = createRateLimiter({ banStrikes: RATE_BAN_STRIKES, banWindowMs: RATE_BAN_WINDOW_MS, banMs: RATE_BAN_MS });
+const EVENT_COST = { joinRoom: 5, watchRoom: 5, leaveRoom: 5, restartGame: 5, joinQueue: 5 };
+const RATE_NOTICE_MS = 1000; // at most one RATE_LIMITED notice per socket per second
+
+metrics.gauge("rate_limiter_entries", "Live rate limiter buckets and offender records", () => limiter.size);
+metrics.gauge("rate_banned_clients", "Clients currently banned by the rate limiter", () => limiter.bans());
+
+const RATE_KICK_RETRY_MS = 10_000; // how long a kicked client waits before reconnecting
+
+// -> null if allowed, else { code, message, retryAfterMs }. socketKey: strikes against one socket.
+function limitClient(ip, checks, socketKey) {
+  const bannedMs = limiter.bannedFor(ip);
+  if (bannedMs) return { code: "BANNED", message: "请求过于频繁，已被暂时限制访问", retryAfterMs: bannedMs };
+  for (const { bucket, key, burst, perSec, cost } of checks) {
+    const result = limiter.take(key, { burst, perSec, cost });
+    if (result.ok) continue;
+    rateLimited.inc({ bucket });
+    if (limiter.strike(ip, RATE_IP_BAN_STRIKES)) return banIp(ip);
+    if (socketKey && limiter.strike(socketKey, RATE_BAN_STRIKES)) {
+      rateKicks.inc();
+      return { code: "KICKED", message: "操作过于频繁，连接已断开", retryAfterMs: RATE_KICK_RETRY_MS };
     }
-    board.push(row);
+    return { code: "RATE_LIMITED", message: "操作过于频繁，请稍后再试", retryAfterMs: result.retryAfterMs };
   }
-  return board;
+  return null;
 }
 
-function genFairBoard(scores = { A: 0, B: 0 }) {
-  if (!FAIR_MODE) return genPureRandomBoard();
-
-  // rubber-banding: tiny bias against leader, for anti-snowball
-  let biasA = 0;
-  let biasB = 0;
-  if (RUBBER_BAND) {
-    const diff = (scores.A || 0) - (scores.B || 0); // A领先为正
-    const bias = clamp(Math.round(diff / BIAS_STEP), -MAX_BIAS, MAX_BIAS);
-    biasA = -bias;
-    biasB = +bias;
+function banIp(ip) {
+  const denied = { code: "BANNED", message: "请求过于频繁，已被暂时限制访问", retryAfterMs: RATE_BAN_MS };
+  rateBans.inc();
+  logger.warn("rate.ban", { ip, banMs: RATE_BAN_MS });
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.data.ip !== ip) continue;
+    socket.emit("errorMsg", denied);
+    socket.disconnect(true);
   }
+  return denied;
+}
 
-  let best = null;
-
-  // pass 1: hard constraints
-  for (let i = 0; i < CANDIDATES; i++) {
-    const board = genCandidateBoard(biasA, biasB);
-    const s = scoreBoard(board);
+function ipCheck(ip, cost = 1) {
+  return { bucket: "ip", key: `ip:${ip}`, burst: RATE_IP_BURST, perSec: RATE_IP_PER_SEC, cost };
+}
 
-    if (Math.abs(s.meanA) > MEAN_LIMIT) continue;
-    if (Math.abs(s.meanB) > MEAN_LIMIT) continue;
-    if (s.spreadA > SPREAD_LIMIT) continue;
-    if (s.spreadB > SPREAD_LIMIT) continue;
+// health checks and scrapes come from the proxy / monitoring and are never limited
+app.use("/api", (req, res, next) => {
+  if (!RATE_LIMIT || req.path === "/health" || req.path === "/metrics") return next();
+  const denied = limitClient(getIp(req), [ipCheck(getIp(req))]);
+  if (!denied) return next();
+  res.set("Retry-After", String(Math.ceil(denied.retryAfterMs / 1000)));
+  res.status(429).json(denied);
+});
 
-    if (!best || s.score < best.score) best = { board, ...s };
+// Socket.IO middleware for every inbound packet; a dropped event gets no answer but a notice.
+function limitSocketEvent(socket, [event], next) {
+  if (!socket.connected) return; // packets still buffered behind a kick or ban
+  const cost = EVENT_COST[event] || 1;
+  const key = `socket:${socket.id}`;
+  const denied = limitClient(
+    socket.data.ip,
+    [{ bucket: "socket", key, burst: RATE_SOCKET_BURST, perSec: RATE_SOCKET_PER_SEC, cost }, ipCheck(socket.data.ip, cost)],
+    key
+  );
+  if (!denied) return next();
+  if (denied.code === "BANNED" || denied.code === "KICKED") {
+    if (!socket.connected) return; // banIp already dropped it
+    socket.emit("errorMsg", denied);
+    return socket.disconnect(true);
   }
+  const now = Date.now();
+  if (now - (socket.data.limitedAt || 0) < RATE_NOTICE_MS) return;
+  socket.data.limitedAt = now;
+  socket.emit("errorMsg", { ...denied, event });
+}
 
-  // pass 2: fallback — no hard constraint found, just pick the best score
-  if (!best) {
-    for (let i = 0; i < CANDIDATES; i++) {
-      const board = genCandidateBoard(biasA, biasB);
-      const s = scoreBoard(board);
-      if (!best || s.score < best.score) best = { board, ...s };
-    }
-  }
+// --------------------- Fair board generation ---------------------
+const boards = createBoardGenerator({
+  fairMode: FAIR_MODE,
+  rubberBand: RUBBER_BAND,
+  candidates: CANDIDATES,
+  meanLimit: MEAN_LIMIT,
+  spreadLimit: SPREAD_LIMIT,
+  extremeStart: EXTREME_START,
+  maxBias: MAX_BIAS,
+  biasStep: BIAS_STEP,
+  eqMode: EQ_MODE,
+  eqGap: EQ_GAP,
+  eqNoDominant: EQ_NO_DOMINANT,
+});
 
-  return best.board;
+// Deals the board for the current round from the game seed; the seed and the board's fairness
+// metrics are kept for the history entry.
+function dealBoard(room) {
+  room.boardSeed = roundSeed(room.seed, room.round);
+  const startedAt = process.hrtime.bigint();
+  const { board, fairness } = boards.dealFairBoard(room.rules, room.scores, room.boardSeed);
+  boardLatency.observe(Number(process.hrtime.bigint() - startedAt) / 1e9, { pass: fairness.pass ?? "none" });
+  if (fairness.pass >= 2) {
+    const equilibrium = fairness.pass === 3 ? "flat" : fairness.equilibrium ? "ok" : "off";
+    boardFallbacks.inc({ equilibrium });
+    // a flat board is a dull round: worth a warning
+    logger[equilibrium === "flat" ? "warn" : "info"]("board.fallback", { roomId: room.id, round: room.round, seed: room.boardSeed, equilibrium });
+  }
+  room.board = board;
+  room.boardFairness = fairness;
 }
 
 // --------------------- Rooms state ---------------------
-const rooms = new Map();
+const store = createStore({ driver: STORE_DRIVER, dir: DATA_DIR, shared: !!hub });
+const accounts = createAccounts(store, { sessionTtlMs: SESSION_TTL_MS, guestTtlMs: GUEST_TTL_MS });
+const ratings = createRatings(store, { k: ELO_K, initial: ELO_INITIAL });
+// rooms this instance runs; in cluster mode the hub knows which instance runs the others
+const rooms = hub ? createSharedRoomStore({ hub, instanceId: INSTANCE_ID }) : createLocalRoomStore(INSTANCE_ID);
+const BOT_SEAT = "bot"; // placeholder in room.players for the AI seat, never a socket id
 
 function genRoomId() {
   const chars = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
@@ -229,25 +346,50 @@ function genRoomId() {
   return s;
 }
 
-function publicState(room) {
+// Spectators live in their own channel so player-only events never reach them.
+function watchChannel(roomId) {
+  return `${roomId}:watch`;
+}
+
+// Per-recipient projection: `viewer` ("A"/"B") sees only its own pick, everyone else
+// (spectators, broadcasts) sees neither. Both picks are revealed only in roundResult.
+function publicState(room, viewer = null) {
   return {
     roomId: room.id,
     players: { A: !!room.players.A, B: !!room.players.B },
-    round: room.round, // 0 before start, 1..9 during
+    users: { ...room.users },
+    round: room.round, // 0 before start, 1..rules.rounds during
     scores: room.scores,
-    picks: room.picks,
+    picks: {
+      A: viewer === "A" ? room.picks.A : null,
+      B: viewer === "B" ? room.picks.B : null,
+    },
+    locked: {
+      A: room.picks.A !== null || !!room.commits?.A,
+      B: room.picks.B !== null || !!room.commits?.B,
+    },
     board: room.board,
     active: room.active,
+    bot: room.bot ? { ...room.bot } : null,
+    spectators: room.spectators.size,
+    commitReveal: room.commitReveal,
+    rated: room.rated,
+    rules: room.rules,
+    revealDeadline: room.revealDeadline,
+    pickDeadline: room.pickDeadline,
+    timeouts: { ...room.timeouts },
   };
 }
 
 function emitRoomState(roomId, room) {
-  const state = publicState(room);
-  io.to(roomId).emit("roomState", state);
-
-  // Tell each socket its authoritative seat to avoid UI drift
-  if (room.players.A) io.to(room.players.A).emit("yourTeam", { team: "A", roomId });
-  if (room.players.B) io.to(room.players.B).emit("yourTeam", { team: "B", roomId });
+  persistRoom(room); // every broadcast state is also a checkpoint
+  // Tell each socket its authoritative seat (and reconnect token) to avoid UI drift
+  ["A", "B"].forEach((team) => {
+    if (!room.players[team] || isBotSeat(room, team)) return;
+    io.to(room.players[team]).emit("roomState", publicState(room, team));
+    io.to(room.players[team]).emit("yourTeam", { team, roomId, token: room.seatTokens[team] });
+  });
+  io.to(watchChannel(roomId)).emit("roomState", publicState(room));
 }
 
 function emitYourTeam(target, payload) {
@@ -259,8 +401,22 @@ function emitYourTeam(target, payload) {
   }
 }
 
+// errorMsg: `code` is stable for clients to branch on, `message` is shown to the player as is
+function emitError(socket, code, message) {
+  socket.emit("errorMsg", { code, message });
+}
+
 function resetPicks(room) {
   room.picks = { A: null, B: null };
+  room.commits = { A: null, B: null };
+  room.reveals = { A: null, B: null };
+  room.autoPicked = { A: false, B: false };
+  room.revealDeadline = null;
+  if (room.revealTimer) {
+    clearTimeout(room.revealTimer);
+    room.revealTimer = null;
+  }
+  clearPickTimer(room);
 }
 
 function resetRoomAfterLeave(room) {
@@ -270,17 +426,26 @@ function resetRoomAfterLeave(room) {
   resetPicks(room);
   room.board = null;
   room.history = [];
+  room.pendingAdvance = false;
+  touchRoom(room);
   if (room.offlineSince) {
     room.offlineSince.A = null;
     room.offlineSince.B = null;
   }
   clearDisconnectTimer(room, "A");
   clearDisconnectTimer(room, "B");
+  // a seat nobody holds any more can no longer be reclaimed
+  ["A", "B"].forEach((team) => {
+    if (room.players[team]) return;
+    room.seatTokens[team] = null;
+    room.users[team] = null;
+  });
 }
 
+// The seat the lobby offers: a seat held for a reconnecting player counts as taken.
 function availableTeam(room) {
-  const hasA = !!room.players.A;
-  const hasB = !!room.players.B;
+  const hasA = !!room.players.A || seatReserved(room, "A");
+  const hasB = !!room.players.B || seatReserved(room, "B");
   if (hasA && !hasB) return "B";
   if (!hasA && hasB) return "A";
   return null;
@@ -290,6 +455,13 @@ function bothPicked(room) {
   return room.picks.A !== null && room.picks.B !== null;
 }
 
+// Persistent board: a row/col is only playable while it still has an unused cell.
+function optionOpen(room, team, value) {
+  if (!isPersistent(room.rules)) return true;
+  const cells = team === "A" ? room.board[value] : room.board.map((row) => row[value]);
+  return cells.some((cell) => !cell.used);
+}
+
 function clearRoomIfEmpty(room) {
   if (room.players.A || room.players.B) return;
   resetRoomAfterLeave(room);
@@ -297,11 +469,53 @@ function clearRoomIfEmpty(room) {
 }
 
 function cleanupRoomAfterDeparture(roomId, room) {
-  if (room.players.A || room.players.B) {
+  if (hasHumans(room)) {
     resetRoomAfterLeave(room);
     return;
   }
+  deleteRoom(roomId);
+}
+
+function deleteRoom(roomId, message = "房间已关闭") {
+  logger.info("room.delete", { roomId, reason: message });
+  const room = rooms.get(roomId);
+  if (room) clearRoomTimers(room);
+  const channel = watchChannel(roomId);
+  io.to(channel).emit("roomClosed", { roomId, message });
+  io.in(channel).socketsLeave(channel);
   rooms.delete(roomId);
+  persistRoom({ id: roomId }); // no longer in `rooms`, so the flush removes it from the store
+}
+
+// Ends a room for everyone in it: seats are released (no reconnect) and spectators are sent away.
+function closeRoom(room, message) {
+  const rid = room.id;
+  ["A", "B"].forEach((team) => {
+    if (room.players[team] && !isBotSeat(room, team)) emitYourTeam(room.players[team], { team: null, roomId: rid });
+  });
+  io.to(rid).emit("roomClosed", { roomId: rid, message });
+  io.in(rid).socketsLeave(rid);
+  deleteRoom(rid, message);
+}
+
+// Every timer a room can hold. Their callbacks check the room state anyway; this keeps a
+// deleted room from lingering in memory until they fire.
+function clearRoomTimers(room) {
+  room.active = false;
+  room.pendingAdvance = false;
+  resetPicks(room); // pick and reveal timers
+  clearDisconnectTimer(room, "A");
+  clearDisconnectTimer(room, "B");
+  clearTimeout(room.advanceTimer);
+  clearTimeout(room.botTimer);
+  room.advanceTimer = null;
+  room.botTimer = null;
+}
+
+function stopWatching(socket, roomId, room) {
+  if (!room.spectators.delete(socket.id)) return false;
+  socket.leave(watchChannel(roomId));
+  return true;
 }
 
 function initDisconnectTracking(room) {
@@ -309,6 +523,18 @@ function initDisconnectTracking(room) {
   room.disconnectTimers = { A: null, B: null };
 }
 
+// Seat is empty but its owner is still inside the reconnect grace window.
+function seatReserved(room, team) {
+  return !room.players[team] && !!room.offlineSince?.[team] && !!room.seatTokens[team];
+}
+
+function releaseSeat(room, team) {
+  room.players[team] = null;
+  room.seatTokens[team] = null;
+  room.users[team] = null;
+  clearDisconnectTimer(room, team);
+}
+
 function clearDisconnectTimer(room, team) {
   if (!room.disconnectTimers) return;
   if (room.disconnectTimers[team]) {
@@ -321,14 +547,24 @@ function clearDisconnectTimer(room, team) {
 }
 
 function startGame(room) {
+  gamesStarted.inc();
   room.active = true;
   room.round = 1;
   room.scores = { A: 0, B: 0 };
+  room.timeouts = { A: 0, B: 0 };
+  room.clashes = null;
   room.history = [];
+  room.startedAt = Date.now();
+  room.pendingAdvance = false;
+  touchRoom(room);
+  room.seed = newSeed();
   resetPicks(room);
-  room.board = genFairBoard(room.scores); // ✅ round1 board
+  dealBoard(room); // ✅ round1 board
+  logger.info("game.start", { roomId: room.id, seed: room.seed, users: room.users, bot: room.bot });
   clearDisconnectTimer(room, "A");
   clearDisconnectTimer(room, "B");
+  startPickTimer(room.id, room);
+  persistRoom(room);
 }
 
 function resolveRound(room) {
@@ -336,6 +572,7 @@ function resolveRound(room) {
   const col = room.picks.B;
 
   const cell = room.board[row][col];
+  if (isPersistent(room.rules)) cell.used = true;
   const deltaA = cell.a;
   const deltaB = cell.b;
 
@@ -344,25 +581,446 @@ function resolveRound(room) {
 
   return {
     chosen: { row, col },
+    picks: { A: row, B: col },
     delta: { A: deltaA, B: deltaB },
     scores: { ...room.scores },
   };
 }
 
+// --------------------- Rounds ---------------------
+// Single entry point for a pick, shared by the socket handlers and the AI seat.
+function submitPick(rid, room, team, value, { auto = false } = {}) {
+  const axis = team === "A" ? "行" : "列";
+  const v = Number(value);
+  const max = optionCount(room.rules, team) - 1;
+  if (!Number.isInteger(v) || v < 0 || v > max) return { code: "PICK_OUT_OF_RANGE", error: `${axis}必须是 0-${max} 的整数` };
+  if (room.picks[team] !== null) return { code: "ALREADY_PICKED", error: `本回合你已选过${axis}` };
+  if (!optionOpen(room, team, v)) return { code: "OPTION_EXHAUSTED", error: `该${axis}已没有可用格子` };
+
+  room.picks[team] = v;
+  if (!auto) room.timeouts[team] = 0;
+  logger.info("pick", { roomId: rid, team, round: room.round, value: v, auto, socketId: room.players[team] });
+  emitRoomState(rid, room);
+
+  if (bothPicked(room) && !replayClash(rid, room)) finishRound(rid, room);
+  return { ok: true };
+}
+
+// Persistent board: the two picks cross on a cell that was already played. Nothing is scored
+// and both sides pick again, each replay with a fresh pick timer. Picks made by the bot or the
+// pick timer clash just the same (maximin ones every time), so after CLASH_REPLAY_LIMIT replays
+// the round is settled instead.
+function replayClash(rid, room) {
+  const { A: row, B: col } = room.picks;
+  if (!isPersistent(room.rules) || !room.board[row][col].used) return false;
+
+  if (room.clashes?.round !== room.round) room.clashes = { round: room.round, count: 0 };
+  if (room.clashes.count >= CLASH_REPLAY_LIMIT) {
+    settleClash(rid, room);
+    return false;
+  }
+  room.clashes.count += 1;
+
+  logger.info("round.clash", { roomId: rid, round: room.round, row, col, replay: room.clashes.count });
+  resetPicks(room);
+  startPickTimer(rid, room);
+  persistRoom(room);
+  io.to([rid, watchChannel(rid)]).emit("pickClash", { round: room.round, row, col });
+  emitRoomState(rid, room);
+  scheduleBotPick(rid, room);
+  return true;
+}
+
+// One side, drawn at random, keeps its pick; the other is moved to a random unused cell on that
+// line (there is one: the pick was only accepted while its line was still open).
+function settleClash(rid, room) {
+  const kept = Math.random() < 0.5 ? "A" : "B";
+  const moved = kept === "A" ? "B" : "A";
+  const line = room.picks[kept];
+  const cells = kept === "A" ? room.board[line] : room.board.map((row) => row[line]);
+  const open = cells.map((cell, i) => (cell.used ? -1 : i)).filter((i) => i >= 0);
+  const from = room.picks[moved];
+  room.picks[moved] = open[Math.floor(Math.random() * open.length)];
+  logger.info("round.clashSettled", { roomId: rid, round: room.round, kept, moved, from, to: room.picks[moved] });
+  io.to([rid, watchChannel(rid)]).emit("clashSettled", { round: room.round, team: moved, pick: room.picks[moved] });
+}
+
+function finishRound(rid, room, result = resolveRound(room)) {
+  const boardSnapshot = (room.board || []).map((row) =>
+    row.map((cell) => ({ ...cell }))
+  );
+  if (!Array.isArray(room.history)) room.history = [];
+  const entry = {
+    round: room.round,
+    seed: room.boardSeed,
+    fairness: room.boardFairness,
+    board: boardSnapshot,
+    picks: { ...result.picks },
+    delta: { ...result.delta },
+    scoresAfter: { ...room.scores },
+  };
+  if (result.forfeit) entry.forfeit = result.forfeit;
+  const timedOut = ["A", "B"].filter((team) => room.autoPicked[team]);
+  if (timedOut.length) entry.timedOut = timedOut;
+  if (room.commitReveal) entry.commitReveal = commitRecord(room);
+  room.history.push(entry);
+  logger.info("round.result", {
+    roomId: rid,
+    round: room.round,
+    picks: entry.picks,
+    delta: entry.delta,
+    scores: entry.scoresAfter,
+    forfeit: entry.forfeit,
+    timedOut: entry.timedOut,
+  });
+
+  // send result for animation
+  io.to([rid, watchChannel(rid)]).emit("roundResult", {
+    ...result,
+    board: room.board,
+    round: room.round,
+  });
+
+  // persisted, so a restart during the animation delay still moves the game on
+  room.pendingAdvance = true;
+  persistRoom(room);
+  room.advanceTimer = setTimeout(() => advanceRound(rid, room), ROUND_DELAY_MS);
+}
+
+function advanceRound(rid, room) {
+  // the room was reset / restarted while the result was animating
+  if (!room.active || !room.pendingAdvance) return;
+  room.pendingAdvance = false;
+
+  // game over after the last round
+  if (room.round >= room.rules.rounds) return endGame(rid, room);
+
+  // next round: regenerate full board (a persistent board stays for the whole game)
+  room.round += 1;
+  resetPicks(room);
+  if (!isPersistent(room.rules)) dealBoard(room); // ✅ fairness-aware + optional rubber band
+  startPickTimer(rid, room);
+  persistRoom(room);
+
+  io.to([rid, watchChannel(rid)]).emit("nextRound", publicState(room));
+  scheduleBotPick(rid, room);
+}
+
+// forfeit: teams that lost by timing out ("timeout") or by walking out of a rated game ("left");
+// otherwise the scores decide.
+function endGame(rid, room, { forfeit = null, forfeitReason = forfeit ? "timeout" : null } = {}) {
+  const finalScores = { ...room.scores };
+  let winner = finalScores.A === finalScores.B ? "DRAW" : finalScores.A > finalScores.B ? "A" : "B";
+  if (forfeit) winner = forfeit.length === 2 ? "DRAW" : forfeit[0] === "A" ? "B" : "A";
+
+  room.active = false;
+  resetPicks(room);
+  touchRoom(room);
+
+  gamesCompleted.inc({ result: forfeit ? "forfeit" : "normal" });
+  if (room.startedAt) gameDuration.observe((Date.now() - room.startedAt) / 1000);
+
+  const gameId = genGameId();
+  const ratingChanges = room.rated ? rateGame(room, gameId, winner) : null;
+  const record = archiveGame(room, { gameId, finalScores, winner, forfeit, forfeitReason, ratings: ratingChanges });
+  persistRoom(room);
+  logger.info("game.over", {
+    roomId: rid,
+    gameId,
+    winner,
+    finalScores,
+    forfeit,
+    forfeitReason,
+    rounds: room.history.length,
+    durationMs: room.startedAt ? Date.now() - room.startedAt : null,
+    rated: room.rated,
+  });
+
+  io.to([rid, watchChannel(rid)]).emit("gameOver", {
+    gameId,
+    finalScores,
+    winner,
+    forfeit,
+    forfeitReason,
+    ratings: ratingChanges,
+    history: room.history,
+    replay: buildReplay(record), // the same replay /api/games/:id serves, so both views agree
+  });
+}
+
+// Leaving a rated game, switching rooms or missing the reconnect grace loses it, so walking away
+// never saves a player from a rating loss. Must run while the seat's account is still recorded.
+function forfeitRatedGame(rid, room, teams) {
+  if (!room.rated || !room.active) return;
+  endGame(rid, room, { forfeit: teams, forfeitReason: "left" });
+}
+
+// --------------------- Commit-reveal ---------------------
+// Optional tournament mode: each side first sends sha256("roomId:round:team:pick:nonce"),
+// and only after both commitments are in does anyone reveal (pick, nonce).
+// A reveal that doesn't match, or doesn't arrive within REVEAL_TIMEOUT_MS, forfeits the round.
+
+function commitmentFor(roomId, round, team, pick, nonce) {
+  return crypto.createHash("sha256").update(`${roomId}:${round}:${team}:${pick}:${nonce}`).digest("hex");
+}
+
+function inRevealPhase(room) {
+  return !!room.commits.A && !!room.commits.B;
+}
+
+// What ends up in history / the replay so a third party can re-hash every commitment.
+function commitRecord(room) {
+  const record = {};
+  ["A", "B"].forEach((team) => {
+    const reveal = room.reveals[team];
+    record[team] = {
+      commitment: room.commits[team],
+      pick: reveal && !reveal.forfeit ? reveal.pick : reveal?.claimedPick ?? null,
+      nonce: reveal?.nonce ?? null,
+      valid: !!reveal && !reveal.forfeit,
+    };
+  });
+  return record;
+}
+
+function submitCommit(rid, room, team, commitment) {
+  const c = String(commitment || "").toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(c)) return { code: "INVALID_COMMITMENT", error: "承诺格式错误（需为 sha256 十六进制）" };
+  if (room.commits[team]) return { code: "ALREADY_COMMITTED", error: "本回合你已提交承诺" };
+
+  room.commits[team] = c;
+  room.timeouts[team] = 0;
+  logger.info("pick.commit", { roomId: rid, team, round: room.round, socketId: room.players[team] });
+  onCommitted(rid, room);
+  return { ok: true };
+}
+
+// The server commits and reveals on behalf of a side that ran out of time.
+function autoCommit(rid, room, team, pick) {
+  const nonce = genToken();
+  room.commits[team] = commitmentFor(rid, room.round, team, pick, nonce);
+  room.reveals[team] = { pick, nonce };
+  logger.info("pick.commit", { roomId: rid, team, round: room.round, auto: true });
+  onCommitted(rid, room);
+}
+
+function onCommitted(rid, room) {
+  if (inRevealPhase(room)) {
+    clearPickTimer(room);
+    if (room.reveals.A && room.reveals.B) {
+      emitRoomState(rid, room);
+      return settleReveals(rid, room); // both sides were auto-committed, nothing to wait for
+    }
+    startRevealTimer(rid, room);
+    io.to(rid).emit("revealPhase", { round: room.round, deadline: room.revealDeadline });
+  }
+  emitRoomState(rid, room);
+}
+
+function startRevealTimer(rid, room) {
+  const round = room.round;
+  room.revealDeadline = Date.now() + REVEAL_TIMEOUT_MS;
+  room.revealTimer = setTimeout(() => {
+    room.revealTimer = null;
+    if (!room.active || room.round !== round || !inRevealPhase(room)) return;
+    ["A", "B"].forEach((t) => {
+      if (!room.reveals[t]) room.reveals[t] = { forfeit: "timeout" };
+    });
+    settleReveals(rid, room);
+  }, REVEAL_TIMEOUT_MS);
+}
+
+function submitReveal(rid, room, team, pick, nonce) {
+  if (!inRevealPhase(room)) return { code: "NOT_REVEAL_PHASE", error: "双方承诺后才能揭示" };
+  if (room.reveals[team]) return { code: "ALREADY_REVEALED", error: "本回合你已揭示" };
+
+  const n = String(nonce || "");
+  const p = Number(pick);
+  const expected = commitmentFor(rid, room.round, team, p, n);
+  const validPick = Number.isInteger(p) && p >= 0 && p < optionCount(room.rules, team);
+  const valid = validPick && n.length >= 16 && n.length <= 128 && expected === room.commits[team];
+  // an honest reveal of a row/col that has no unused cell left still loses the round
+  const playable = valid && optionOpen(room, team, p);
+
+  room.reveals[team] = playable
+    ? { pick: p, nonce: n }
+    : { forfeit: valid ? "usedCell" : "mismatch", claimedPick: Number.isFinite(p) ? p : null, nonce: n };
+  logger.info("pick.reveal", { roomId: rid, team, round: room.round, value: p, valid, playable });
+
+  persistRoom(room);
+  settleReveals(rid, room);
+  if (!valid) return { code: "REVEAL_MISMATCH", error: "揭示与承诺不符，本回合判负" };
+  if (!playable) return { code: "OPTION_EXHAUSTED", error: "所选行/列已没有可用格子，本回合判负" };
+  return { ok: true };
+}
+
+function settleReveals(rid, room) {
+  if (!room.reveals.A || !room.reveals.B) return;
+  if (room.revealTimer) {
+    clearTimeout(room.revealTimer);
+    room.revealTimer = null;
+  }
+
+  const forfeit = ["A", "B"].filter((team) => room.reveals[team].forfeit);
+  if (!forfeit.length) {
+    room.picks = { A: room.reveals.A.pick, B: room.reveals.B.pick };
+    if (!replayClash(rid, room)) finishRound(rid, room);
+    return;
+  }
+
+  // no cell is played: the side(s) that broke the protocol lose points, the other side scores 0
+  const delta = { A: 0, B: 0 };
+  forfeit.forEach((team) => (delta[team] = -COMMIT_FORFEIT_POINTS));
+  room.scores.A += delta.A;
+  room.scores.B += delta.B;
+
+  finishRound(rid, room, {
+    chosen: null,
+    picks: {
+      A: room.reveals.A.forfeit ? null : room.reveals.A.pick,
+      B: room.reveals.B.forfeit ? null : room.reveals.B.pick,
+    },
+    delta,
+    scores: { ...room.scores },
+    forfeit,
+  });
+}
+
+// --------------------- Pick timer ---------------------
+// Every round has PICK_TIMEOUT_MS to pick (or commit). A human side that lets it run out gets a
+// pick made for it with PICK_TIMEOUT_POLICY; PICK_TIMEOUT_FORFEIT timeouts in a row lose the game.
+
+function clearPickTimer(room) {
+  room.pickDeadline = null;
+  if (room.pickTimer) {
+    clearTimeout(room.pickTimer);
+    room.pickTimer = null;
+  }
+}
+
+function startPickTimer(rid, room) {
+  clearPickTimer(room);
+  if (!PICK_TIMEOUT_MS) return;
+
+  const board = room.board;
+  const round = room.round;
+  room.pickDeadline = Date.now() + PICK_TIMEOUT_MS;
+  room.pickTimer = setTimeout(() => {
+    room.pickTimer = null;
+    // the round already moved on
+    if (!room.active || room.board !== board || room.round !== round || room.pendingAdvance) return;
+    onPickTimeout(rid, room);
+  }, PICK_TIMEOUT_MS);
+}
+
+function onPickTimeout(rid, room) {
+  room.pickDeadline = null;
+  const idle = ["A", "B"].filter(
+    (team) => !isBotSeat(room, team) && (room.commitReveal ? !room.commits[team] : room.picks[team] === null)
+  );
+  if (!idle.length) return;
+
+  idle.forEach((team) => {
+    room.timeouts[team] += 1;
+    logger.warn("pick.timeout", { roomId: rid, team, round: room.round, timeouts: room.timeouts[team] });
+  });
+  const forfeit = idle.filter((team) => PICK_TIMEOUT_FORFEIT && room.timeouts[team] >= PICK_TIMEOUT_FORFEIT);
+  if (forfeit.length) return endGame(rid, room, { forfeit });
+
+  idle.forEach((team) => {
+    room.autoPicked[team] = true;
+    io.to([rid, watchChannel(rid)]).emit("autoPicked", { team, round: room.round, timeouts: room.timeouts[team] });
+  });
+  idle.forEach((team) => {
+    const pick = botPick(room.board, team, PICK_TIMEOUT_POLICY);
+    if (room.commitReveal) autoCommit(rid, room, team, pick);
+    else submitPick(rid, room, team, pick, { auto: true });
+  });
+}
+
+// --------------------- AI opponent ---------------------
+function isBotSeat(room, team) {
+  return !!room.bot && room.bot.team === team;
+}
+
+function hasHumans(room) {
+  return ["A", "B"].some((team) => room.players[team] && !isBotSeat(room, team));
+}
+
+// Nobody seated and nobody inside the reconnect window: safe to drop the room.
+function roomAbandoned(room) {
+  return !hasHumans(room) && !seatReserved(room, "A") && !seatReserved(room, "B");
+}
+
+function scheduleBotPick(rid, room) {
+  if (!room.bot || !room.active) return;
+  const { team, strategy } = room.bot;
+  const board = room.board;
+  const round = room.round;
+  const delay = Math.round(BOT_THINK_MS * (0.5 + Math.random()));
+
+  room.botTimer = setTimeout(() => {
+    // the round moved on (or the game ended) while the bot was thinking
+    if (!room.active || room.board !== board || room.round !== round || room.picks[team] !== null) return;
+    submitPick(rid, room, team, botPick(board, team, strategy));
+  }, delay);
+}
+
+// Hold an empty seat for its owner for DISCONNECT_GRACE_MS, then end the game.
+function startGraceTimer(rid, room, team) {
+  clearDisconnectTimer(room, team);
+
+  const offlineAt = Date.now();
+  room.offlineSince[team] = offlineAt;
+  room.disconnectTimers[team] = setTimeout(() => {
+    if (room.offlineSince[team] !== offlineAt) return;
+    graceTimeouts.inc();
+    logger.warn("seat.graceExpired", { roomId: rid, team, round: room.round, active: room.active });
+    forfeitRatedGame(rid, room, [team]);
+
+    room.active = false;
+    resetPicks(room);
+    room.board = null;
+    room.disconnectTimers[team] = null;
+    room.offlineSince[team] = null;
+    room.seatTokens[team] = null;
+    room.users[team] = null;
+    touchRoom(room);
+
+    // only the AI (or nobody) is left behind
+    if (roomAbandoned(room)) {
+      deleteRoom(rid);
+      return;
+    }
+
+    io.to(rid).emit("opponentLeft", { message: "对手已离开，当前对局结束" });
+    emitRoomState(rid, room);
+  }, DISCONNECT_GRACE_MS);
+}
+
+// Frees every seat / spectator slot the socket holds outside keepRoomId. In cluster mode the
+// other instances do the same for the rooms they run.
 function detachFromOtherRooms(socket, keepRoomId) {
+  detachHere(socket, keepRoomId);
+  if (hub) io.serverSideEmit("detachSocket", { from: socketRef(socket), keepRoomId });
+}
+
+function detachHere(socket, keepRoomId) {
   for (const [rid, room] of rooms.entries()) {
     if (rid === keepRoomId) continue;
 
+    if (stopWatching(socket, rid, room)) emitRoomState(rid, room);
+
     const leavingTeams = [];
     if (room.players.A === socket.id) leavingTeams.push("A");
     if (room.players.B === socket.id) leavingTeams.push("B");
 
     if (!leavingTeams.length) continue;
 
+    forfeitRatedGame(rid, room, leavingTeams);
     leavingTeams.forEach((team) => {
-      room.players[team] = null;
-      clearDisconnectTimer(room, team);
-      if (room.offlineSince) room.offlineSince[team] = null;
+      logger.info("room.leave", { roomId: rid, team, socketId: socket.id, reason: "switchedRoom" });
+      releaseSeat(room, team);
       emitYourTeam(socket, { team: null, roomId: rid });
     });
 
@@ -375,24 +1033,22 @@ function detachFromOtherRooms(socket, keepRoomId) {
   }
 }
 
-// --------------------- HTTP API ---------------------
-app.post("/api/rooms", (req, res) => {
-  const ip = getIp(req);
-  const now = Date.now();
-  const last = lastCreateByIp.get(ip) || 0;
-  const diff = now - last;
-  if (diff < CREATE_COOLDOWN_MS) {
-    const wait = Math.ceil((CREATE_COOLDOWN_MS - diff) / 1000);
-    return res.status(429).json({ message: `创建过于频繁，请 ${wait}s 后再试` });
-  }
-  lastCreateByIp.set(ip, now);
-
-  let roomId = genRoomId();
-  while (rooms.has(roomId)) roomId = genRoomId();
+function takeSeat(socket, rid, room, team, { reclaim = false } = {}) {
+  room.players[team] = socket.id;
+  if (!reclaim) room.seatTokens[team] = genToken();
+  // a reclaim keeps the seat's account unless the player has logged in since
+  // (never in rated rooms, where the account is what gets rated)
+  if (!reclaim || (socket.data.user && !room.rated)) room.users[team] = socket.data.user || null;
+  clearDisconnectTimer(room, team);
+  touchRoom(room);
+  socket.join(rid);
+}
 
-  rooms.set(roomId, {
+function newRoom(roomId, { bot = null, commitReveal = false, rated = false, rules = DEFAULT_RULES } = {}) {
+  const room = {
     id: roomId,
     createdAt: Date.now(),
+    lastActivityAt: Date.now(),
     players: { A: null, B: null },
     round: 0,
     scores: { A: 0, B: 0 },
@@ -400,23 +1056,404 @@ app.post("/api/rooms", (req, res) => {
     board: null,
     active: false,
     history: [],
+    seatTokens: { A: null, B: null },
+    timeouts: { A: 0, B: 0 }, // consecutive pick timeouts per side
+    users: { A: null, B: null }, // account behind each human seat, null for anonymous players
+    bot: null,
+    spectators: new Set(),
+    commitReveal,
+    rated,
+    rules: { ...rules },
+  };
+  resetPicks(room);
+  initDisconnectTracking(room);
+
+  if (bot) {
+    room.bot = bot;
+    room.players[bot.team] = BOT_SEAT;
+  }
+  return room;
+}
+
+// The id is reserved in the room store first, so it is unique across instances in cluster mode.
+async function createRoom(options) {
+  let roomId = genRoomId();
+  while (!(await rooms.reserve(roomId))) roomId = genRoomId();
+
+  const room = newRoom(roomId, options);
+  rooms.set(roomId, room);
+  persistRoom(room);
+  logger.info("room.create", {
+    roomId,
+    bot: room.bot,
+    commitReveal: room.commitReveal,
+    rated: room.rated,
+    rules: room.rules,
+  });
+  return room;
+}
+
+// --------------------- Room lifecycle ---------------------
+// Idle rooms expire instead of piling up: rooms nobody ever sat in, rooms waiting for a second
+// player, and finished rooms nobody rematches in (ROOM_TTL_MS). Idle time counts from the last
+// player action; running games never expire, pick timers and the reconnect window end those.
+// A minute before, everyone in the room gets roomExpiring; at expiry the room closes like an admin close.
+const ROOM_SWEEP_MS = 10_000;
+const ROOM_EXPIRY_WARN_MS = 60_000;
+const EXPIRED_MESSAGES = {
+  unjoined: "房间创建后长时间无人加入，已自动关闭",
+  waiting: "长时间未等到对手，房间已自动关闭",
+  finished: "对局结束后长时间无人再战，房间已自动关闭",
+};
+
+function touchRoom(room) {
+  room.lastActivityAt = Date.now();
+}
+
+// -> { reason, expiresAt } | null while a game runs (or that kind of room never expires)
+function roomExpiry(room) {
+  if (room.active) return null;
+  const reason = roomAbandoned(room) ? "unjoined" : roomPhase(room) === "finished" ? "finished" : "waiting";
+  const ttl = ROOM_TTL_MS[reason];
+  if (!(ttl > 0)) return null;
+  return { reason, expiresAt: (room.lastActivityAt || room.createdAt) + ttl };
+}
+
+function sweepRooms() {
+  const now = Date.now();
+  Array.from(rooms.values()).forEach((room) => {
+    const expiry = roomExpiry(room);
+    if (!expiry) return;
+    if (now >= expiry.expiresAt) {
+      roomsExpired.inc({ reason: expiry.reason });
+      logger.info("room.expire", { roomId: room.id, reason: expiry.reason, idleMs: now - room.lastActivityAt });
+      return closeRoom(room, EXPIRED_MESSAGES[expiry.reason]);
+    }
+    // once per deadline: any player action moves it
+    if (expiry.expiresAt - now > ROOM_EXPIRY_WARN_MS || room.expiryWarnedFor === expiry.expiresAt) return;
+    room.expiryWarnedFor = expiry.expiresAt;
+    io.to([room.id, watchChannel(room.id)]).emit("roomExpiring", {
+      roomId: room.id,
+      expiresAt: expiry.expiresAt,
+      message: "房间长时间无人操作，即将自动关闭",
+    });
   });
+}
 
-  initDisconnectTracking(rooms.get(roomId));
+const roomSweeper = setInterval(sweepRooms, ROOM_SWEEP_MS);
+roomSweeper.unref();
 
-  res.json({ roomId });
+// --------------------- Matchmaking ---------------------
+const matchQueue = createMatchQueue({
+  bandStart: MATCH_BAND_START,
+  bandStep: MATCH_BAND_STEP,
+  bandIntervalMs: MATCH_BAND_INTERVAL_MS,
 });
+let matchTimer = null;
+
+function enqueue(socket, rated) {
+  const user = socket.data.user;
+  matchQueue.add({
+    socketId: socket.id,
+    userId: user?.id || null,
+    rated,
+    rating: rated ? ratings.currentRating(user.id) : null,
+    joinedAt: Date.now(),
+  });
+  logger.info("queue.join", { socketId: socket.id, userId: user?.id, rated });
+  if (!matchTimer) matchTimer = setInterval(matchTick, MATCH_TICK_MS);
+  matchTick();
+}
+
+// The queue is per instance: a socket connected elsewhere is dequeued by its own instance.
+function dequeue(socket, reason) {
+  if (hub && !io.sockets.sockets.has(socket.id)) {
+    io.serverSideEmit("dequeueSocket", { socketId: socket.id, reason });
+    return false;
+  }
+  if (!matchQueue.remove(socket.id)) return false;
+  logger.info("queue.leave", { socketId: socket.id, reason });
+  socket.emit("queueLeft", { reason });
+  return true;
+}
+
+function matchTick() {
+  matchQueue.takePairs().forEach((pair) => startMatch(pair).catch((e) => matchFailed(pair, e)));
+
+  const now = Date.now();
+  matchQueue.socketIds().forEach((id) => {
+    const status = matchQueue.status(id, now);
+    io.to(id).emit("queueStatus", { ...status, offerBot: status.waitMs >= MATCH_BOT_OFFER_MS });
+  });
+
+  if (!matchQueue.size) {
+    clearInterval(matchTimer);
+    matchTimer = null;
+  }
+}
+
+// Both sockets get a seat in a fresh room and the game starts right away.
+async function startMatch(pair) {
+  const live = () => pair.map((e) => io.sockets.sockets.get(e.socketId));
+  if (live().some((s) => !s)) return requeue(pair, live());
+
+  let room;
+  try {
+    room = await createRoom({ rated: pair[0].rated });
+  } catch (e) {
+    logger.error("queue.matchFailed", { socketIds: pair.map((e) => e.socketId), error: e });
+    return requeue(pair, live());
+  }
+  // reserving the id may have waited on the hub
+  const sockets = live();
+  if (sockets.some((s) => !s)) {
+    deleteRoom(room.id);
+    return requeue(pair, sockets);
+  }
+  const rid = room.id;
+  try {
+    const teams = Math.random() < 0.5 ? ["A", "B"] : ["B", "A"];
+    sockets.forEach((socket, i) => {
+      detachFromOtherRooms(socket, rid);
+      takeSeat(socket, rid, room, teams[i]);
+      logger.info("queue.match", { roomId: rid, team: teams[i], socketId: socket.id, userId: pair[i].userId, rated: room.rated });
+      socket.emit("matchFound", { roomId: rid, team: teams[i], rated: room.rated });
+    });
+    emitRoomState(rid, room);
+
+    startGame(room);
+    io.to([rid, watchChannel(rid)]).emit("gameStart", publicState(room));
+  } catch (e) {
+    if (rooms.has(rid)) closeRoom(room, "匹配失败，房间已关闭");
+    throw e;
+  }
+}
 
-function listRooms(req, res) {
-  const withPlayers = Array.from(rooms.values())
-    .filter((room) => room.players.A || room.players.B)
-    .map((room) => ({
+// Both players are already out of the queue; a retry would most likely fail the same way, so they
+// are told and can queue again themselves.
+function matchFailed(pair, error) {
+  logger.error("queue.matchFailed", { socketIds: pair.map((e) => e.socketId), error });
+  pair.forEach((e) => io.to(e.socketId).emit("matchError", { code: "INTERNAL", message: "匹配失败，请重新开始匹配" }));
+}
+
+// someone vanished before the match started: whoever is still here keeps their place in line
+function requeue(pair, sockets) {
+  pair.forEach((e, i) => sockets[i] && matchQueue.add(e));
+  if (matchQueue.size && !matchTimer) matchTimer = setInterval(matchTick, MATCH_TICK_MS);
+}
+
+// --------------------- Persistence ---------------------
+// Everything needed to resume a room after a restart. Sockets, timers and spectators are
+// not persisted: seats that had an owner come back as "disconnected" and can be reclaimed
+// with the seat token inside the usual grace window.
+const PERSISTED_FIELDS = [
+  "id", "createdAt", "startedAt", "round", "scores", "picks", "commits", "reveals", "board",
+  "active", "history", "seatTokens", "users", "bot", "commitReveal", "rated", "rules", "timeouts", "autoPicked", "pendingAdvance",
+  "seed", "boardSeed", "boardFairness", "lastActivityAt", "clashes",
+];
+const dirtyRooms = new Set();
+let flushScheduled = false;
+
+function roomSnapshot(room) {
+  const snapshot = { owner: INSTANCE_ID }; // instances sharing a DATA_DIR only restore their own rooms
+  PERSISTED_FIELDS.forEach((key) => (snapshot[key] = room[key]));
+  return snapshot;
+}
+
+// What the room store publishes: the lobby listing, plus who is seated (for the queue's in-game check).
+function directoryEntry(room) {
+  return {
+    listing: {
       roomId: room.id,
       availableTeam: availableTeam(room),
       players: { A: !!room.players.A, B: !!room.players.B },
+      users: { ...room.users },
+      bot: room.bot ? { ...room.bot } : null,
+      spectators: room.spectators.size,
+      commitReveal: room.commitReveal,
+      rated: room.rated,
+      rules: room.rules,
       active: room.active,
       createdAt: room.createdAt,
-    }))
+      expiresAt: roomExpiry(room)?.expiresAt ?? null,
+    },
+    seated: ["A", "B"].map((team) => room.players[team]).filter((id) => id && id !== BOT_SEAT),
+  };
+}
+
+// Coalesces the several mutations a single event makes into one write.
+function persistRoom(room) {
+  dirtyRooms.add(room.id);
+  if (flushScheduled) return;
+  flushScheduled = true;
+  setImmediate(flushRooms);
+}
+
+function flushRooms() {
+  flushScheduled = false;
+  for (const roomId of dirtyRooms) {
+    try {
+      const room = rooms.get(roomId);
+      if (room) {
+        store.saveRoom(roomSnapshot(room));
+        rooms.publish(roomId, directoryEntry(room));
+      } else {
+        store.deleteRoom(roomId);
+      }
+    } catch (e) {
+      logger.error("store.persistRoomFailed", { roomId, error: e });
+    }
+  }
+  dirtyRooms.clear();
+}
+
+function genGameId() {
+  return `${Date.now().toString(36)}${crypto.randomBytes(4).toString("hex")}`.toUpperCase();
+}
+
+function archiveGame(room, { gameId, finalScores, winner, forfeit, forfeitReason, ratings: ratingChanges }) {
+  const record = {
+    id: gameId,
+    roomId: room.id,
+    startedAt: room.startedAt || null,
+    finishedAt: Date.now(),
+    finalScores,
+    winner,
+    forfeit,
+    forfeitReason,
+    players: { ...room.users },
+    history: room.history,
+    bot: room.bot,
+    commitReveal: room.commitReveal,
+    rated: room.rated,
+    rules: room.rules,
+    seed: room.seed,
+    ratings: ratingChanges,
+  };
+  try {
+    store.archiveGame(record);
+  } catch (e) {
+    logger.error("store.archiveGameFailed", { roomId: room.id, gameId, error: e });
+  }
+  return record;
+}
+
+// --------------------- Ratings ---------------------
+function rateGame(room, gameId, winner) {
+  try {
+    return ratings.rateGame({ gameId, users: room.users, winner });
+  } catch (e) {
+    logger.error("ratings.updateFailed", { roomId: room.id, gameId, error: e });
+    return null;
+  }
+}
+
+// Rated seats need a registered account, and one account can't sit on both sides.
+function ratedSeatError(room, team, user) {
+  if (!user || user.guest) return { code: "LOGIN_REQUIRED", message: "排位房间需要登录注册账号" };
+  const other = room.users[team === "A" ? "B" : "A"];
+  if (other && other.id === user.id) return { code: "SELF_PLAY", message: "不能与自己进行排位对局" };
+  return null;
+}
+
+async function restoreRooms() {
+  for (const snapshot of store.loadRooms()) {
+    // cluster mode: another instance's room, or one whose id was handed out again while we were down
+    if (hub && snapshot.owner && snapshot.owner !== INSTANCE_ID) continue;
+    if (!(await rooms.claim(snapshot.id))) {
+      logger.warn("rooms.restoreSkipped", { roomId: snapshot.id, reason: "idTaken" });
+      continue;
+    }
+    const room = newRoom(snapshot.id, snapshot);
+    PERSISTED_FIELDS.forEach((key) => {
+      if (snapshot[key] !== undefined) room[key] = snapshot[key];
+    });
+    touchRoom(room); // idle time doesn't include our downtime
+    rooms.set(room.id, room);
+    persistRoom(room); // republishes its directory entry
+
+    ["A", "B"].forEach((team) => {
+      if (room.seatTokens[team] && !isBotSeat(room, team)) startGraceTimer(room.id, room, team);
+    });
+
+    if (!room.active) continue;
+    if (room.pendingAdvance) {
+      room.advanceTimer = setTimeout(() => advanceRound(room.id, room), ROUND_DELAY_MS);
+    } else if (room.commitReveal && inRevealPhase(room)) {
+      startRevealTimer(room.id, room); // fresh window: nobody could reveal while we were down
+    } else {
+      startPickTimer(room.id, room); // likewise a fresh pick window
+      scheduleBotPick(room.id, room);
+    }
+  }
+  if (rooms.size) logger.info("rooms.restored", { count: rooms.size, driver: STORE_DRIVER });
+}
+
+// --------------------- HTTP API ---------------------
+// Checks req.body against a schema.js shape and replaces it with the checked value;
+// an invalid body gets 400 { code, field, message }.
+function validBody(schema) {
+  return (req, res, next) => {
+    const { value, error } = check(schema, req.body);
+    if (error) return res.status(400).json(error);
+    req.body = value;
+    next();
+  };
+}
+
+// 400 for a body that fits its schema but not the game: bad rules, options that don't go together
+function rejectBody(res, code, field, message) {
+  return res.status(400).json({ code, field, message });
+}
+
+app.post("/api/rooms", validBody(BODIES.createRoom), async (req, res) => {
+  if (draining()) return res.status(503).json({ code: "SERVER_DRAINING", message: "服务器即将维护，暂不能创建房间" });
+  const { bot, commitReveal, rated } = req.body;
+  if (commitReveal && bot) return rejectBody(res, "OPTION_CONFLICT", "commitReveal", "AI 对局不支持承诺-揭示模式");
+  if (rated && bot) return rejectBody(res, "OPTION_CONFLICT", "rated", "AI 对局不计排位");
+  const parsed = parseRules(req.body.rules);
+  if (parsed.error) return rejectBody(res, "INVALID_RULES", "rules", parsed.error);
+  // ratings only compare games played under the same rules
+  if (rated && !isDefaultRules(parsed.rules)) return rejectBody(res, "OPTION_CONFLICT", "rated", "排位房间只能使用标准规则");
+
+  const ip = getIp(req);
+  // one room per CREATE_COOLDOWN_MS: a one-token bucket
+  const cooldown = CREATE_COOLDOWN_MS > 0 && limiter.take(`create:${ip}`, { burst: 1, perSec: 1000 / CREATE_COOLDOWN_MS });
+  if (cooldown && !cooldown.ok) {
+    const wait = Math.ceil(cooldown.retryAfterMs / 1000);
+    createThrottled.inc();
+    return res.status(429).json({ code: "RATE_LIMITED", message: `创建过于频繁，请 ${wait}s 后再试`, retryAfterMs: cooldown.retryAfterMs });
+  }
+
+  let room;
+  try {
+    room = await createRoom({ bot, commitReveal, rated, rules: parsed.rules });
+  } catch (e) {
+    logger.error("room.createFailed", { ip, error: e });
+    return res.status(503).json({ code: "SERVICE_UNAVAILABLE", message: "房间服务暂不可用，请稍后再试" });
+  }
+
+  res.json({
+    roomId: room.id,
+    bot: room.bot,
+    commitReveal: room.commitReveal,
+    rated: room.rated,
+    rules: room.rules,
+  });
+});
+
+// every instance's rooms, from the room store's directory
+async function listRooms(req, res) {
+  let entries;
+  try {
+    entries = await rooms.list();
+  } catch (e) {
+    logger.error("room.listFailed", { error: e });
+    return res.status(503).json({ code: "SERVICE_UNAVAILABLE", message: "房间服务暂不可用，请稍后再试" });
+  }
+  const withPlayers = entries
+    .map((entry) => entry.listing)
+    .filter((listing) => listing.players.A || listing.players.B)
     .sort((a, b) => b.createdAt - a.createdAt);
 
   res.json({ rooms: withPlayers });
@@ -425,236 +1462,825 @@ function listRooms(req, res) {
 app.get("/api/rooms/solo", listRooms); // legacy route name
 app.get("/api/rooms/list", listRooms);
 
+// finished games: ?roomId=&limit= (newest first)
+app.get("/api/games", (req, res) => {
+  const roomId = String(req.query.roomId || "").trim().toUpperCase() || undefined;
+  const limit = clamp(Math.floor(Number(req.query.limit) || 20), 1, 100);
+  res.json({ games: store.listGames({ roomId, limit }) });
+});
+
+app.get("/api/games/:id", (req, res) => {
+  const record = store.getGame(String(req.params.id).toUpperCase());
+  if (!record) return res.status(404).json({ code: "GAME_NOT_FOUND", message: "对局不存在" });
+  res.json(buildReplay(record));
+});
+
+// Rebuilds a finished game's boards from its seed and score path, and says whether each one matches
+// the board that was actually played (it won't if the FAIR_* / RUBBER_BAND settings changed since).
+app.get("/api/games/:id/boards", (req, res) => {
+  const record = store.getGame(String(req.params.id).toUpperCase());
+  if (!record) return res.status(404).json({ code: "GAME_NOT_FOUND", message: "对局不存在" });
+  if (!Number.isInteger(record.seed)) return res.status(409).json({ code: "SEED_MISSING", message: "该对局没有记录随机种子" });
+  const rounds = boards.regenerateBoards({ seed: record.seed, rules: record.rules, rounds: record.history });
+  res.json({ gameId: record.id, seed: record.seed, rules: record.rules || DEFAULT_RULES, rounds });
+});
+
+// One board from an explicit round seed: { seed, rules?, scores? } -> { seed, rules, scores, board }
+// Public so players can check a board themselves, but dealing one is CPU work on the game loop:
+// one board per BOARD_COOLDOWN_MS per IP.
+app.post("/api/boards", validBody(BODIES.board), (req, res) => {
+  const { seed, scores } = req.body;
+  const parsed = parseRules(req.body.rules);
+  if (parsed.error) return rejectBody(res, "INVALID_RULES", "rules", parsed.error);
+  const cooldown = BOARD_COOLDOWN_MS > 0 && limiter.take(`board:${getIp(req)}`, { burst: 1, perSec: 1000 / BOARD_COOLDOWN_MS });
+  if (cooldown && !cooldown.ok) {
+    const wait = Math.ceil(cooldown.retryAfterMs / 1000);
+    return res.status(429).json({ code: "RATE_LIMITED", message: `生成棋盘过于频繁，请 ${wait}s 后再试`, retryAfterMs: cooldown.retryAfterMs });
+  }
+  res.json({ seed, rules: parsed.rules, scores, board: boards.genFairBoard(parsed.rules, scores, seed) });
+});
+
+// Fairness report over the latest archived games plus freshly dealt boards (default rules, even score):
+// ?games=200&simulate=50&bots=1 (bots: count AI games in the seat win rates). Admin only: dealing
+// boards is CPU work on the game loop, so it is capped and done in small batches between events.
+const REPORT_MAX_SIMULATE = 100;
+const REPORT_BATCH = 10;
+
+app.get("/api/analytics/fairness", requireAdmin, async (req, res) => {
+  const gameLimit = clamp(Math.floor(Number(req.query.games) || 200), 1, 1000);
+  const simulate = clamp(Math.floor(Number(req.query.simulate ?? 50) || 0), 0, REPORT_MAX_SIMULATE);
+  try {
+    const records = [];
+    for (const { id } of store.listGames({ limit: gameLimit })) {
+      const record = await store.loadGame(id);
+      if (record) records.push(record);
+    }
+    const simulated = [];
+    while (simulated.length < simulate) {
+      await new Promise((resolve) => setImmediate(resolve));
+      for (let i = 0; i < REPORT_BATCH && simulated.length < simulate; i++) {
+        simulated.push(boards.dealFairBoard(DEFAULT_RULES, { A: 0, B: 0 }, newSeed()).fairness);
+      }
+    }
+    res.json(fairnessReport({ records, simulated, includeBots: req.query.bots === "1" }));
+  } catch (e) {
+    logger.error("analytics.reportFailed", { error: e });
+    res.status(500).json({ code: "INTERNAL", message: "生成报告失败" });
+  }
+});
+
+// rated players, best first: ?offset=&limit=
+app.get("/api/leaderboard", (req, res) => {
+  const offset = Math.max(0, Math.floor(Number(req.query.offset) || 0));
+  const limit = clamp(Math.floor(Number(req.query.limit) || 20), 1, 100);
+  res.json(ratings.leaderboard({ offset, limit }));
+});
+
+app.get("/api/players/:id/ratings", (req, res) => {
+  const limit = clamp(Math.floor(Number(req.query.limit) || 50), 1, 200);
+  const result = ratings.history(String(req.params.id), { limit });
+  if (!result) return res.status(404).json({ code: "PLAYER_NOT_FOUND", message: "玩家不存在" });
+  res.json(result);
+});
+
+// --------------------- Accounts ---------------------
+function bearerToken(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+  return m ? m[1] : null;
+}
+
+function sendSession(res, result) {
+  if (result.error) return rejectBody(res, result.code, result.field, result.error);
+  res.json(result);
+}
+
+app.post("/api/auth/register", validBody(BODIES.register), async (req, res) => {
+  try {
+    sendSession(res, await accounts.register(req.body.username, req.body.password));
+  } catch (e) {
+    logger.error("auth.registerFailed", { error: e });
+    res.status(500).json({ code: "INTERNAL", message: "注册失败" });
+  }
+});
+
+app.post("/api/auth/login", validBody(BODIES.login), async (req, res) => {
+  try {
+    const result = await accounts.login(req.body.username, req.body.password);
+    if (result.error) return res.status(401).json({ code: result.code, message: result.error });
+    res.json(result);
+  } catch (e) {
+    logger.error("auth.loginFailed", { error: e });
+    res.status(500).json({ code: "INTERNAL", message: "登录失败" });
+  }
+});
+
+app.post("/api/auth/guest", validBody(BODIES.guest), (req, res) => {
+  const invalid = accounts.guestNameError(req.body.name);
+  if (invalid) return sendSession(res, invalid);
+  // every guest is written to the store: one per GUEST_COOLDOWN_MS, like room creation
+  const cooldown = GUEST_COOLDOWN_MS > 0 && limiter.take(`guest:${getIp(req)}`, { burst: 1, perSec: 1000 / GUEST_COOLDOWN_MS });
+  if (cooldown && !cooldown.ok) {
+    const wait = Math.ceil(cooldown.retryAfterMs / 1000);
+    return res.status(429).json({ code: "RATE_LIMITED", message: `游客登录过于频繁，请 ${wait}s 后再试`, retryAfterMs: cooldown.retryAfterMs });
+  }
+  sendSession(res, accounts.guest(req.body.name));
+});
+
+app.get("/api/auth/me", (req, res) => {
+  const user = accounts.userForToken(bearerToken(req));
+  if (!user) return res.status(401).json({ code: "NOT_LOGGED_IN", message: "未登录或登录已过期" });
+  res.json({ user: publicUser(user) });
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  accounts.logout(bearerToken(req));
+  res.json({ ok: true });
+});
+
+// expired sessions and guest accounts would otherwise pile up in the store
+function sweepAccounts() {
+  try {
+    const removed = accounts.sweep();
+    if (removed.sessions || removed.guests) logger.info("accounts.sweep", removed);
+  } catch (e) {
+    logger.error("accounts.sweepFailed", { error: e });
+  }
+}
+
+const accountSweeper = setInterval(sweepAccounts, ACCOUNT_SWEEP_MS);
+accountSweeper.unref();
+
+// --------------------- Admin ---------------------
+// Operator endpoints, all behind `Authorization: Bearer <ADMIN_TOKEN>`.
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(404).json({ code: "ADMIN_DISABLED", message: "管理接口未启用" });
+  if (!tokenEquals(bearerToken(req), ADMIN_TOKEN)) return res.status(401).json({ code: "INVALID_ADMIN_TOKEN", message: "管理员令牌无效" });
+  next();
+}
+
+// Internal state, minus secrets (seat tokens, commit nonces).
+function adminRoomView(room) {
+  return {
+    roomId: room.id,
+    createdAt: room.createdAt,
+    startedAt: room.startedAt || null,
+    active: room.active,
+    round: room.round,
+    rules: room.rules,
+    scores: room.scores,
+    players: { ...room.players },
+    users: { ...room.users },
+    offlineSince: { A: room.offlineSince?.A || null, B: room.offlineSince?.B || null },
+    reserved: { A: seatReserved(room, "A"), B: seatReserved(room, "B") },
+    spectators: room.spectators.size,
+    bot: room.bot ? { ...room.bot } : null,
+    commitReveal: room.commitReveal,
+    rated: room.rated,
+    picks: { ...room.picks },
+    committed: { A: !!room.commits?.A, B: !!room.commits?.B },
+    timeouts: { ...room.timeouts },
+    pickDeadline: room.pickDeadline || null,
+    revealDeadline: room.revealDeadline || null,
+    pendingAdvance: !!room.pendingAdvance,
+    historyLength: (room.history || []).length,
+    seed: room.seed ?? null,
+  };
+}
+
+// This instance's part of GET /api/admin/rooms.
+function adminSnapshot() {
+  return {
+    instance: INSTANCE_ID,
+    rooms: Array.from(rooms.values(), adminRoomView),
+    sockets: io.engine.clientsCount,
+    queue: matchQueue.size,
+  };
+}
+
+// Room actions run where the room lives: (room, body, ip) -> { status?, body }.
+const adminActions = {
+  view(room) {
+    return { body: { ...adminRoomView(room), history: room.history } };
+  },
+
+  // Ends the room for everyone: seats are released (no reconnect) and spectators are sent away.
+  close(room, body, ip) {
+    const rid = room.id;
+    const message = body.message || "房间已被管理员关闭";
+    logger.warn("admin.closeRoom", { roomId: rid, ip });
+    closeRoom(room, message);
+    return { body: { ok: true } };
+  },
+
+  // Drops the current game (not archived) and keeps whoever is seated.
+  reset(room, body, ip) {
+    const rid = room.id;
+    logger.warn("admin.resetRoom", { roomId: rid, round: room.round, active: room.active, ip });
+
+    resetRoomAfterLeave(room);
+    if (roomAbandoned(room)) {
+      deleteRoom(rid);
+      return { body: { ok: true, closed: true } };
+    }
+    io.to([rid, watchChannel(rid)]).emit("roomReset", { roomId: rid, message: "房间已被管理员重置" });
+    emitRoomState(rid, room);
+    return { body: { ok: true, closed: false } };
+  },
+
+  // Frees a seat, online or inside its reconnect window, the same way leaving the room would.
+  kick(room, body, ip) {
+    const rid = room.id;
+    const team = body.team;
+    if (isBotSeat(room, team)) return { status: 400, body: { code: "BOT_SEAT", message: "不能踢出 AI 座位" } };
+    if (!room.players[team] && !seatReserved(room, team)) return { status: 409, body: { code: "SEAT_EMPTY", message: "该座位没有玩家" } };
+
+    const socketId = room.players[team];
+    logger.warn("admin.kickSeat", { roomId: rid, team, socketId, ip });
+    releaseSeat(room, team);
+    if (socketId) {
+      emitYourTeam(socketId, { team: null, roomId: rid });
+      io.to(socketId).emit("roomClosed", { roomId: rid, message: "你已被管理员移出房间" });
+      io.in(socketId).socketsLeave(rid);
+    }
+
+    resetRoomAfterLeave(room);
+    if (!hasHumans(room)) {
+      deleteRoom(rid);
+      return { body: { ok: true, closed: true } };
+    }
+    io.to(rid).emit("opponentLeft", { message: "对手已被管理员移出，房间已重置等待新玩家" });
+    emitRoomState(rid, room);
+    return { body: { ok: true, closed: false } };
+  },
+};
+
+// Cluster mode: every other instance answers, null unless the question concerns it.
+function askInstances(event, args) {
+  return new Promise((resolve) => {
+    io.serverSideEmit(event, args, (err, replies) => resolve(replies || []));
+  });
+}
+
+function adminRoomRoute(action) {
+  return async (req, res) => {
+    const roomId = String(req.params.id).toUpperCase();
+    const args = { action, roomId, body: req.body, ip: getIp(req) };
+    try {
+      const room = rooms.get(roomId);
+      const result = room
+        ? adminActions[action](room, args.body, args.ip)
+        : hub && (await askInstances("adminAction", args)).find(Boolean);
+      if (!result) return res.status(404).json({ code: "ROOM_NOT_FOUND", message: "房间不存在" });
+      res.status(result.status || 200).json(result.body);
+    } catch (e) {
+      logger.error("admin.actionFailed", { roomId, action, error: e });
+      res.status(500).json({ code: "INTERNAL", message: "操作失败" });
+    }
+  };
+}
+
+app.get("/api/admin/rooms", requireAdmin, async (req, res) => {
+  const parts = [adminSnapshot(), ...(hub ? (await askInstances("adminSnapshot", {})).filter(Boolean) : [])];
+  const list = parts
+    .flatMap((part) => part.rooms.map((room) => ({ ...room, instance: part.instance })))
+    .sort((a, b) => b.createdAt - a.createdAt);
+  res.json({
+    rooms: list,
+    sockets: parts.reduce((n, part) => n + part.sockets, 0),
+    queue: parts.reduce((n, part) => n + part.queue, 0),
+    instances: parts.map(({ instance, rooms: owned, sockets, queue }) => ({ instance, rooms: owned.length, sockets, queue })),
+  });
+});
+
+app.get("/api/admin/rooms/:id", requireAdmin, adminRoomRoute("view"));
+app.post("/api/admin/rooms/:id/close", requireAdmin, validBody(BODIES.adminClose), adminRoomRoute("close"));
+app.post("/api/admin/rooms/:id/reset", requireAdmin, adminRoomRoute("reset"));
+app.post("/api/admin/rooms/:id/kick", requireAdmin, validBody(BODIES.adminKick), adminRoomRoute("kick"));
+
+app.post("/api/admin/broadcast", requireAdmin, validBody(BODIES.broadcast), (req, res) => {
+  const { message } = req.body;
+  logger.warn("admin.broadcast", { message, ip: getIp(req) });
+  io.emit("serverNotice", { message, at: Date.now() });
+  res.json({ ok: true, sockets: io.engine.clientsCount });
+});
+
+// --------------------- Metrics endpoint ---------------------
+// waiting: no game played yet, active: in play, finished: last game over, waiting for a rematch
+function roomPhase(room) {
+  if (room.active) return "active";
+  return (room.history || []).length ? "finished" : "waiting";
+}
+
+metrics.gauge("sockets_connected", "Connected Socket.IO clients", () => io.engine.clientsCount);
+metrics.gauge("rooms", "Rooms in memory by state", () => {
+  const counts = { waiting: 0, active: 0, finished: 0 };
+  rooms.forEach((room) => counts[roomPhase(room)]++);
+  return Object.entries(counts).map(([state, value]) => ({ labels: { state }, value }));
+});
+metrics.gauge("spectators", "Sockets watching a room", () =>
+  Array.from(rooms.values()).reduce((n, room) => n + room.spectators.size, 0)
+);
+metrics.gauge("match_queue_size", "Sockets waiting in the matchmaking queue", () => matchQueue.size);
+
+app.get("/api/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
 // healthcheck (optional)
 app.get("/api/health", (req, res) => {
-  res.json({
-    ok: true,
+  // 503 while draining, so a load balancer stops sending new players here
+  res.status(draining() ? 503 : 200).json({
+    ok: !draining(),
+    draining: draining(),
     port: PORT,
     allowOrigins: ALLOW_ORIGINS,
     fairMode: FAIR_MODE,
     rubberBand: RUBBER_BAND,
+    eqMode: EQ_MODE,
+    instance: INSTANCE_ID,
+    cluster: hub ? { hub: CLUSTER_HUB, connected: hub.connected } : null,
   });
 });
 
 // --------------------- Socket.IO ---------------------
-io.on("connection", (socket) => {
-  console.log("socket connected:", socket.id, "origin:", socket.handshake.headers.origin);
+// The session token rides in the handshake (`auth: { token }`). A missing or expired
+// token is not an error: the socket simply plays anonymously.
+// banned clients are refused at the handshake: connect_error with data { code: "BANNED", retryAfterMs }
+io.use((socket, next) => {
+  socket.data.ip = socketIp(socket);
+  const bannedMs = RATE_LIMIT ? limiter.bannedFor(socket.data.ip) : 0;
+  if (!bannedMs) return next();
+  const err = new Error("请求过于频繁，已被暂时限制访问");
+  err.data = { code: "BANNED", retryAfterMs: bannedMs };
+  next(err);
+});
 
-  socket.on("joinRoom", ({ roomId, team }) => {
-    try {
-      const rid = String(roomId || "").trim().toUpperCase();
-      if (!rid) return socket.emit("errorMsg", { message: "房间号不能为空" });
+io.use((socket, next) => {
+  try {
+    socket.data.user = publicUser(accounts.userForToken(socket.handshake.auth?.token));
+  } catch (e) {
+    logger.error("auth.sessionLookupFailed", { socketId: socket.id, error: e });
+    socket.data.user = null;
+  }
+  next();
+});
+
+// Room events run on the instance that owns the room. `socket` is the client's own socket, or a
+// stand-in for one connected to another instance (remoteSocket), so handlers stick to
+// socket.id / data / emit / join / leave / to. Payloads arrive already checked against EVENTS.
+const roomEvents = {
+  joinRoom(socket, { roomId: rid, team, token }) {
+    const room = rooms.get(rid);
+    if (!room) {
+      // a stale reconnect token: tell the client to forget its seat
+      if (token) emitYourTeam(socket, { team: null, roomId: rid });
+      return emitError(socket, "ROOM_NOT_FOUND", "房间不存在");
+    }
 
-      const room = rooms.get(rid);
-      if (!room) return socket.emit("errorMsg", { message: "房间不存在" });
+    const reclaim = tokenEquals(token, room.seatTokens[team]);
+    // while draining only seat owners get back in, so running games can still finish
+    if (draining() && !reclaim) return emitError(socket, "SERVER_DRAINING", "服务器即将维护，暂不能加入房间");
 
-      if (team !== "A" && team !== "B") return socket.emit("errorMsg", { message: "队伍必须是 A 或 B" });
+    // team capacity 1
+    if (room.players[team] && room.players[team] !== socket.id && !reclaim) {
+      return emitError(socket, "SEAT_TAKEN", `队伍 ${team} 已被占用`);
+    }
+    if (seatReserved(room, team) && !reclaim) {
+      return emitError(socket, "SEAT_RESERVED", `队伍 ${team} 的玩家断线重连中，请稍后再试`);
+    }
+    if (room.rated && !reclaim) {
+      const denied = ratedSeatError(room, team, socket.data.user);
+      if (denied) return emitError(socket, denied.code, denied.message);
+    }
 
-      // Ensure a socket can only live in one room to avoid ghost rooms
-      detachFromOtherRooms(socket, rid);
+    // Ensure a socket can only live in one room to avoid ghost rooms. Only once the seat is certain:
+    // leaving a rated game forfeits it.
+    dequeue(socket, "joinedRoom");
+    detachFromOtherRooms(socket, rid);
 
-      // team capacity 1
-      if (room.players[team] && room.players[team] !== socket.id) {
-        return socket.emit("errorMsg", { message: `队伍 ${team} 已被占用` });
-      }
+    // the owner came back on a new socket before the old one timed out
+    const previous = room.players[team];
+    if (reclaim && previous && previous !== socket.id) {
+      io.in(previous).socketsLeave(rid);
+      emitYourTeam(previous, { team: null, roomId: rid });
+    }
 
-      // if same socket previously in other team, remove it
-      const other = team === "A" ? "B" : "A";
-      if (room.players[other] === socket.id) room.players[other] = null;
+    // a spectator taking a free seat stops being a spectator
+    stopWatching(socket, rid, room);
 
-      room.players[team] = socket.id;
-      clearDisconnectTimer(room, team);
-      socket.join(rid);
+    // if same socket previously in other team, remove it
+    const other = team === "A" ? "B" : "A";
+    if (room.players[other] === socket.id) releaseSeat(room, other);
 
-      emitRoomState(rid, room);
+    takeSeat(socket, rid, room, team, { reclaim });
+    logger.info("room.join", { roomId: rid, team, socketId: socket.id, reclaim, userId: socket.data.user?.id });
+    emitRoomState(rid, room);
 
-      // auto start when both joined
-      if (room.players.A && room.players.B && !room.active) {
-        startGame(room);
-        io.to(rid).emit("gameStart", publicState(room));
-      } else if (!room.players.A || !room.players.B) {
-        socket.emit("waiting", { message: "等待另一位玩家加入..." });
-      }
-    } catch (e) {
-      console.error(e);
-      socket.emit("errorMsg", { message: "joinRoom 发生错误" });
+    // auto start when both joined
+    if (room.players.A && room.players.B && !room.active) {
+      startGame(room);
+      io.to([rid, watchChannel(rid)]).emit("gameStart", publicState(room));
+      scheduleBotPick(rid, room);
+    } else if (!room.players.A || !room.players.B) {
+      socket.emit("waiting", { message: "等待另一位玩家加入..." });
     }
-  });
 
-  socket.on("pickRow", ({ roomId, row }) => {
-    const rid = String(roomId || "").trim().toUpperCase();
+    if (reclaim && room.active) {
+      socket.emit("seatRestored", { ...publicState(room, team), history: room.history });
+      seatReconnects.inc();
+      socket.to(rid).emit("opponentReconnected", { message: "对手已重连" });
+    }
+  },
+
+  watchRoom(socket, { roomId: rid }) {
     const room = rooms.get(rid);
-    if (!room) return socket.emit("errorMsg", { message: "房间不存在" });
-    if (!room.active) return socket.emit("errorMsg", { message: "对局未开始" });
-    if (room.players.A !== socket.id) return socket.emit("errorMsg", { message: "你不是 A（选行玩家）" });
+    if (!room) return emitError(socket, "ROOM_NOT_FOUND", "房间不存在");
 
-    const r = Number(row);
-    if (![0, 1, 2].includes(r)) return socket.emit("invalidPick", { message: "行必须是 0/1/2", state: publicState(room) });
-    if (room.picks.A !== null) return socket.emit("invalidPick", { message: "本回合你已选过行", state: publicState(room) });
+    if (room.players.A === socket.id || room.players.B === socket.id) {
+      return emitError(socket, "ALREADY_SEATED", "你已是本房间玩家");
+    }
+    if (draining()) return emitError(socket, "SERVER_DRAINING", "服务器即将维护，暂不能加入房间");
+
+    // after every check, as in joinRoom: leaving a rated game forfeits it
+    dequeue(socket, "joinedRoom");
+    detachFromOtherRooms(socket, rid);
 
-    room.picks.A = r;
+    room.spectators.add(socket.id);
+    socket.join(watchChannel(rid));
+    logger.info("room.watch", { roomId: rid, socketId: socket.id });
+    socket.emit("spectating", { roomId: rid });
     emitRoomState(rid, room);
+  },
 
-    if (bothPicked(room)) finishRound(rid, room);
-  });
+  pickRow(socket, { roomId: rid, row }) {
+    const room = rooms.get(rid);
+    if (!room) return emitError(socket, "ROOM_NOT_FOUND", "房间不存在");
+    if (room.spectators.has(socket.id)) return emitError(socket, "SPECTATOR", "观战中无法操作");
+    if (!room.active) return emitError(socket, "GAME_NOT_ACTIVE", "对局未开始");
+    if (room.players.A !== socket.id) return emitError(socket, "WRONG_SEAT", "你不是 A（选行玩家）");
+
+    if (room.commitReveal) return emitError(socket, "COMMIT_REQUIRED", "本房间为承诺-揭示模式，请先提交承诺");
+
+    const { code, error } = submitPick(rid, room, "A", row);
+    if (error) socket.emit("invalidPick", { code, message: error, state: publicState(room, "A") });
+  },
 
-  socket.on("pickCol", ({ roomId, col }) => {
-    const rid = String(roomId || "").trim().toUpperCase();
+  pickCol(socket, { roomId: rid, col }) {
     const room = rooms.get(rid);
-    if (!room) return socket.emit("errorMsg", { message: "房间不存在" });
-    if (!room.active) return socket.emit("errorMsg", { message: "对局未开始" });
-    if (room.players.B !== socket.id) return socket.emit("errorMsg", { message: "你不是 B（选列玩家）" });
+    if (!room) return emitError(socket, "ROOM_NOT_FOUND", "房间不存在");
+    if (room.spectators.has(socket.id)) return emitError(socket, "SPECTATOR", "观战中无法操作");
+    if (!room.active) return emitError(socket, "GAME_NOT_ACTIVE", "对局未开始");
+    if (room.players.B !== socket.id) return emitError(socket, "WRONG_SEAT", "你不是 B（选列玩家）");
 
-    const c = Number(col);
-    if (![0, 1, 2].includes(c)) return socket.emit("invalidPick", { message: "列必须是 0/1/2", state: publicState(room) });
-    if (room.picks.B !== null) return socket.emit("invalidPick", { message: "本回合你已选过列", state: publicState(room) });
+    if (room.commitReveal) return emitError(socket, "COMMIT_REQUIRED", "本房间为承诺-揭示模式，请先提交承诺");
 
-    room.picks.B = c;
-    emitRoomState(rid, room);
+    const { code, error } = submitPick(rid, room, "B", col);
+    if (error) socket.emit("invalidPick", { code, message: error, state: publicState(room, "B") });
+  },
 
-    if (bothPicked(room)) finishRound(rid, room);
-  });
+  commitPick(socket, { roomId: rid, commitment }) {
+    const room = rooms.get(rid);
+    if (!room) return emitError(socket, "ROOM_NOT_FOUND", "房间不存在");
+    if (room.spectators.has(socket.id)) return emitError(socket, "SPECTATOR", "观战中无法操作");
+    if (!room.active) return emitError(socket, "GAME_NOT_ACTIVE", "对局未开始");
+    if (!room.commitReveal) return emitError(socket, "COMMIT_DISABLED", "本房间未开启承诺-揭示模式");
+
+    const team = seatOf(room, socket.id);
+    if (!team) return emitError(socket, "NOT_IN_ROOM", "你不在这个房间");
+
+    const { code, error } = submitCommit(rid, room, team, commitment);
+    if (error) socket.emit("invalidPick", { code, message: error, state: publicState(room, team) });
+  },
 
-  socket.on("leaveRoom", ({ roomId }) => {
-    const rid = String(roomId || "").trim().toUpperCase();
+  revealPick(socket, { roomId: rid, pick, nonce }) {
     const room = rooms.get(rid);
-    if (!room) return socket.emit("errorMsg", { message: "房间不存在" });
+    if (!room) return emitError(socket, "ROOM_NOT_FOUND", "房间不存在");
+    if (!room.active || !room.commitReveal) return emitError(socket, "NOT_REVEAL_PHASE", "当前无需揭示");
+
+    const team = seatOf(room, socket.id);
+    if (!team) return emitError(socket, "NOT_IN_ROOM", "你不在这个房间");
+
+    const { code, error } = submitReveal(rid, room, team, pick, nonce);
+    if (error) socket.emit("invalidPick", { code, message: error, state: publicState(room, team) });
+  },
+
+  leaveRoom(socket, { roomId: rid }) {
+    const room = rooms.get(rid);
+    if (!room) return emitError(socket, "ROOM_NOT_FOUND", "房间不存在");
+
+    if (stopWatching(socket, rid, room)) return emitRoomState(rid, room);
 
     const leavingTeams = [];
     if (room.players.A === socket.id) leavingTeams.push("A");
     if (room.players.B === socket.id) leavingTeams.push("B");
 
-    if (!leavingTeams.length) return socket.emit("errorMsg", { message: "你不在这个房间" });
-
+    if (!leavingTeams.length) return emitError(socket, "NOT_IN_ROOM", "你不在这个房间");
+    forfeitRatedGame(rid, room, leavingTeams);
     leavingTeams.forEach((team) => {
-      room.players[team] = null;
-      clearDisconnectTimer(room, team);
-      if (room.offlineSince) room.offlineSince[team] = null;
+      logger.info("room.leave", { roomId: rid, team, socketId: socket.id, reason: "left" });
+      releaseSeat(room, team);
       emitYourTeam(socket, { team: null, roomId: rid });
     });
 
     socket.leave(rid);
 
-    const hasPlayers = !!room.players.A || !!room.players.B;
-    if (hasPlayers) {
+    if (hasHumans(room)) {
       resetRoomAfterLeave(room);
       io.to(rid).emit("opponentLeft", { message: "对手已离开，房间已重置等待新玩家" });
       emitRoomState(rid, room);
       io.to(rid).emit("waiting", { message: "等待另一位玩家加入..." });
     } else {
       resetRoomAfterLeave(room);
-      rooms.delete(rid);
+      deleteRoom(rid);
     }
 
     socket.emit("roomState", publicState(room));
-  });
+  },
 
-  socket.on("restartGame", ({ roomId }) => {
-    const rid = String(roomId || "").trim().toUpperCase();
+  restartGame(socket, { roomId: rid }) {
     const room = rooms.get(rid);
-    if (!room) return socket.emit("errorMsg", { message: "房间不存在" });
+    if (!room) return emitError(socket, "ROOM_NOT_FOUND", "房间不存在");
+    if (room.spectators.has(socket.id)) return emitError(socket, "SPECTATOR", "观战中无法操作");
 
     const isPlayer = room.players.A === socket.id || room.players.B === socket.id;
-    if (!isPlayer) return socket.emit("errorMsg", { message: "你不在这个房间" });
+    if (!isPlayer) return emitError(socket, "NOT_IN_ROOM", "你不在这个房间");
 
     if (!room.players.A || !room.players.B) {
-      return socket.emit("errorMsg", { message: "双方都在房间后才能再战" });
+      return emitError(socket, "OPPONENT_MISSING", "双方都在房间后才能再战");
     }
     if (room.active) {
-      return socket.emit("errorMsg", { message: "当前对局尚未结束" });
+      return emitError(socket, "GAME_IN_PROGRESS", "当前对局尚未结束");
     }
+    if (draining()) return emitError(socket, "SERVER_DRAINING", "服务器即将维护，暂不能开始新对局");
 
     startGame(room);
-    io.to(rid).emit("gameStart", publicState(room));
-  });
+    io.to([rid, watchChannel(rid)]).emit("gameStart", publicState(room));
+    scheduleBotPick(rid, room);
+  },
+};
 
-  function finishRound(rid, room) {
-    const result = resolveRound(room);
-    const boardSnapshot = (room.board || []).map((row) =>
-      row.map((cell) => ({ ...cell }))
-    );
-    if (!Array.isArray(room.history)) room.history = [];
-    room.history.push({
-      round: room.round,
-      board: boardSnapshot,
-      picks: { ...room.picks },
-      delta: { ...result.delta },
-      scoresAfter: { ...room.scores },
-    });
+function seatOf(room, socketId) {
+  if (room.players.A === socketId) return "A";
+  if (room.players.B === socketId) return "B";
+  return null;
+}
 
-    // send result for animation
-    io.to(rid).emit("roundResult", {
-      ...result,
-      board: room.board,
-      round: room.round,
-    });
+// What another instance needs to act for a socket.
+function socketRef(socket) {
+  return { id: socket.id, user: socket.data.user || null };
+}
 
-    // game over after round 9
-    if (room.round >= 9) {
-      const finalScores = { ...room.scores };
-      const winner =
-        finalScores.A === finalScores.B ? "DRAW" : finalScores.A > finalScores.B ? "A" : "B";
-
-      setTimeout(() => {
-        room.active = false;
-        resetPicks(room);
-
-        io.to(rid).emit("gameOver", {
-          finalScores,
-          winner,
-          history: room.history,
-        });
-      }, ROUND_DELAY_MS);
-      return;
+// A socket connected to another instance, driven through the adapter (every socket sits in a
+// Socket.IO room named after its id, on whichever instance it is connected to).
+function remoteSocket({ id, user = null }) {
+  return {
+    id,
+    data: { user },
+    emit: (event, payload) => io.to(id).emit(event, payload),
+    join: (channel) => io.in(id).socketsJoin(channel),
+    leave: (channel) => io.in(id).socketsLeave(channel),
+    to: (channel) => io.to(channel).except(id),
+  };
+}
+
+// Runs a (checked) room event here, or hands it to the instance that owns the room.
+function dispatchRoomEvent(socket, event, args) {
+  const rid = args.roomId;
+  if (!hub || rooms.has(rid)) return roomEvents[event](socket, args);
+
+  return rooms.locate(rid).then(
+    (found) => {
+      if (!found || found.owner === INSTANCE_ID) return roomEvents[event](socket, args); // reports the missing room
+      if (!socket.connected) return; // its "socketGone" already went out
+      // the owner is restarting: nobody would answer, the client retries once it is back
+      if (found.parked) return socket.emit("maintenance", { roomId: rid, message: RESTARTING_MESSAGE, remainingMs: 0 });
+      io.serverSideEmit("roomEvent", { owner: found.owner, event, payload: args, from: socketRef(socket) });
+    },
+    (e) => {
+      logger.error("cluster.forwardFailed", { roomId: rid, event, socketId: socket.id, error: e });
+      emitError(socket, "SERVICE_UNAVAILABLE", "房间服务暂不可用，请稍后再试");
     }
+  );
+}
 
-    // next round: regenerate full board
-    setTimeout(() => {
-      room.round += 1;
-      resetPicks(room);
-      room.board = genFairBoard(room.scores); // ✅ fairness-aware + optional rubber band
+// Every client event goes through here: the payload is checked against EVENTS[event] first, and a
+// handler that throws (or rejects) is logged and answered with INTERNAL instead of reaching Socket.IO.
+function runEvent(socket, event, handler, payload) {
+  const { value, error } = check(EVENTS[event], payload);
+  if (error) return socket.emit("errorMsg", error);
+  Promise.resolve()
+    .then(() => handler(socket, value))
+    .catch((e) => {
+      logger.error("socket.eventFailed", { event, roomId: value.roomId, socketId: socket.id, error: e });
+      emitError(socket, "INTERNAL", "服务器处理出错，请稍后再试");
+    });
+}
 
-      io.to(rid).emit("nextRound", publicState(room));
-    }, ROUND_DELAY_MS);
+// Matchmaking entry: refused while in a running game, here or on another instance.
+async function joinQueue(socket, { rated }) {
+  if (draining()) return emitError(socket, "SERVER_DRAINING", "服务器即将维护，暂不能匹配");
+  if (rated) {
+    const user = socket.data.user;
+    if (!user || user.guest) return emitError(socket, "LOGIN_REQUIRED", "排位匹配需要登录注册账号");
   }
+  let inGame;
+  try {
+    inGame = await inActiveGame(socket.id);
+  } catch (e) {
+    logger.error("queue.joinFailed", { socketId: socket.id, error: e });
+    return emitError(socket, "SERVICE_UNAVAILABLE", "房间服务暂不可用，请稍后再试");
+  }
+  if (inGame) return emitError(socket, "IN_GAME", "对局进行中，无法匹配");
+  if (!socket.connected) return;
 
-  socket.on("disconnect", () => {
-    for (const [rid, room] of rooms.entries()) {
-      const disconnectedTeams = [];
+  // a waiting room would otherwise fill up behind our back while we are queued
+  detachFromOtherRooms(socket, null);
+  enqueue(socket, rated);
+}
 
-      if (room.players.A === socket.id) disconnectedTeams.push("A");
-      if (room.players.B === socket.id) disconnectedTeams.push("B");
+// Seats held by a socket that went away start their reconnect window; spectator slots are freed.
+function releaseSocket(socket) {
+  for (const [rid, room] of rooms.entries()) {
+    if (stopWatching(socket, rid, room)) emitRoomState(rid, room);
+
+    const disconnectedTeams = [];
 
-      if (disconnectedTeams.length) {
-        disconnectedTeams.forEach((team) => {
-          room.players[team] = null;
-          clearDisconnectTimer(room, team);
+    if (room.players.A === socket.id) disconnectedTeams.push("A");
+    if (room.players.B === socket.id) disconnectedTeams.push("B");
 
-          const offlineAt = Date.now();
-          room.offlineSince[team] = offlineAt;
-          room.disconnectTimers[team] = setTimeout(() => {
-            if (room.offlineSince[team] !== offlineAt) return;
+    if (disconnectedTeams.length) {
+      disconnectedTeams.forEach((team) => {
+        seatDisconnects.inc();
+        logger.info("seat.disconnect", { roomId: rid, team, socketId: socket.id, round: room.round, active: room.active });
+        room.players[team] = null;
+        startGraceTimer(rid, room, team);
+      });
 
-            room.active = false;
-            resetPicks(room);
-            room.board = null;
-            room.disconnectTimers[team] = null;
-            room.offlineSince[team] = null;
+      emitRoomState(rid, room);
+      io.to(rid).emit("opponentDisconnected", { message: "对手断线，等待 1 分钟内重连..." });
+    }
+  }
+}
 
-            io.to(rid).emit("opponentLeft", { message: "对手已离开，当前对局结束" });
-            emitRoomState(rid, room);
-          }, DISCONNECT_GRACE_MS);
-        });
+// Seated in a running game, here or (cluster mode) on any other instance.
+async function inActiveGame(socketId) {
+  const here = Array.from(rooms.values()).some((room) => room.active && seatOf(room, socketId));
+  if (here || !hub) return here;
+  const entries = await rooms.list();
+  return entries.some((entry) => entry.listing.active && entry.seated.includes(socketId));
+}
 
-        emitRoomState(rid, room);
-        io.to(rid).emit("opponentDisconnected", { message: "对手断线，等待 1 分钟内重连..." });
-      }
+// --------------------- Cluster ---------------------
+// Messages between instances (io.serverSideEmit, delivered to every other instance).
+if (hub) {
+  // checked again: it is cheap, and keeps handlers safe from a mismatched instance
+  io.on("roomEvent", ({ owner, event, payload, from }) => {
+    if (owner !== INSTANCE_ID || !roomEvents[event]) return;
+    runEvent(remoteSocket(from), event, roomEvents[event], payload);
+  });
+  io.on("detachSocket", ({ from, keepRoomId }) => detachHere(remoteSocket(from), keepRoomId));
+  io.on("dequeueSocket", ({ socketId, reason }) => {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) dequeue(socket, reason);
+  });
+  io.on("socketGone", ({ socketId }) => releaseSocket(remoteSocket({ id: socketId })));
+  io.on("adminSnapshot", (args, ack) => ack(adminSnapshot()));
+  io.on("adminAction", ({ action, roomId, body, ip }, ack) => {
+    const room = rooms.get(roomId);
+    if (!room || !adminActions[action]) return ack(null);
+    try {
+      ack(adminActions[action](room, body, ip));
+    } catch (e) {
+      logger.error("admin.actionFailed", { roomId, action, error: e });
+      ack({ status: 500, body: { code: "INTERNAL", message: "操作失败" } });
     }
   });
+}
+
+io.on("connection", (socket) => {
+  logger.info("socket.connect", {
+    socketId: socket.id,
+    ip: socket.data.ip,
+    origin: socket.handshake.headers.origin,
+    userId: socket.data.user?.id,
+  });
+  if (draining()) socket.emit("maintenance", maintenanceNotice());
+  if (RATE_LIMIT) socket.use((packet, next) => limitSocketEvent(socket, packet, next));
+
+  Object.keys(roomEvents).forEach((event) => {
+    socket.on(event, (payload) => runEvent(socket, event, (s, args) => dispatchRoomEvent(s, event, args), payload));
+  });
+  socket.on("joinQueue", (payload) => runEvent(socket, "joinQueue", joinQueue, payload));
+  socket.on("leaveQueue", (payload) => runEvent(socket, "leaveQueue", (s) => dequeue(s, "cancelled"), payload));
+
+  socket.on("disconnect", (reason) => {
+    logger.info("socket.disconnect", { socketId: socket.id, reason });
+    limiter.forget(`socket:${socket.id}`);
+    matchQueue.remove(socket.id);
+    releaseSocket(socket);
+    if (hub) io.serverSideEmit("socketGone", { socketId: socket.id });
+  });
 });
 
-server.listen(PORT, "0.0.0.0", () => {
-  console.log(`Server listening on http://0.0.0.0:${PORT}`);
-  console.log("ALLOW_ORIGINS:", ALLOW_ORIGINS.join(","));
-  console.log("FAIR_MODE:", FAIR_MODE, "RUBBER_BAND:", RUBBER_BAND);
+// --------------------- Shutdown ---------------------
+// SIGTERM / SIGINT (pm2 restart / stop) starts draining: no new rooms, seats, games or queueing;
+// connected clients get a maintenance countdown; running games get SHUTDOWN_DRAIN_MS to reach
+// gameOver. Whatever still runs after that is already persisted and resumes after the restart,
+// where seat owners reclaim their seats with their tokens. A second signal exits right away.
+const RESTARTING_MESSAGE = "服务器正在重启，恢复后将自动重连";
+let drainDeadline = null;
+
+function draining() {
+  return drainDeadline !== null;
+}
+
+function activeGames() {
+  return Array.from(rooms.values()).filter((room) => room.active).length;
+}
+
+// players' and spectators' channels of every room this instance runs
+function ownChannels() {
+  return Array.from(rooms.values()).flatMap((room) => [room.id, watchChannel(room.id)]);
+}
+
+function maintenanceNotice() {
+  return {
+    message: "服务器即将维护重启：进行中的对局可以继续，维护后会自动重连",
+    deadline: drainDeadline,
+    remainingMs: Math.max(0, drainDeadline - Date.now()),
+  };
+}
+
+function beginDrain(signal) {
+  if (draining()) {
+    logger.warn("server.forceStop", { signal, activeGames: activeGames() });
+    flushRooms();
+    process.exit(0);
+  }
+  drainDeadline = Date.now() + SHUTDOWN_DRAIN_MS;
+  logger.warn("server.drain", { signal, drainMs: SHUTDOWN_DRAIN_MS, activeGames: activeGames() });
+
+  matchQueue.socketIds().forEach((id) => {
+    const socket = io.sockets.sockets.get(id);
+    if (socket) dequeue(socket, "maintenance");
+    else matchQueue.remove(id);
+  });
+  // our own sockets, plus (cluster mode) players of our rooms connected to other instances
+  io.local.emit("maintenance", maintenanceNotice());
+  if (hub) {
+    const channels = ownChannels();
+    if (channels.length) io.to(channels).emit("maintenance", maintenanceNotice());
+  }
+
+  const poll = setInterval(() => {
+    if (activeGames() && Date.now() < drainDeadline) return;
+    clearInterval(poll);
+    stopServer();
+  }, DRAIN_POLL_MS);
+}
+
+async function stopServer() {
+  logger.info("server.stop", { unfinishedGames: activeGames(), rooms: rooms.size });
+  flushRooms();
+  try {
+    await rooms.park();
+    // players connected elsewhere lose their host too: dropping them makes their clients reconnect and reclaim
+    const channels = ownChannels();
+    if (hub && channels.length) io.in(channels).disconnectSockets();
+  } catch (e) {
+    logger.error("server.parkFailed", { error: e });
+  }
+  // closing the engine drops our own sockets without a disconnect packet: their clients retry on their own
+  setTimeout(() => process.exit(0), 2000).unref();
+  io.close(() => {
+    flushRooms();
+    process.exit(0);
+  });
+}
+
+["SIGINT", "SIGTERM"].forEach((signal) => process.on(signal, () => beginDrain(signal)));
+
+async function start() {
+  if (hub) {
+    if (STORE_DRIVER !== "file") logger.warn("cluster.unsharedStore", { storeDriver: STORE_DRIVER });
+    await hub.ready; // room ids can't be reserved before this
+  }
+  await restoreRooms();
+  server.listen(PORT, "0.0.0.0", () => {
+    logger.info("server.start", {
+      port: PORT,
+      instance: INSTANCE_ID,
+      cluster: CLUSTER_HUB || null,
+      allowOrigins: ALLOW_ORIGINS,
+      fairMode: FAIR_MODE,
+      rubberBand: RUBBER_BAND,
+      eqMode: EQ_MODE,
+      storeDriver: STORE_DRIVER,
+    });
+  });
+}
+
+start().catch((e) => {
+  logger.error("server.startFailed", { error: e });
+  process.exit(1);
 });
@@ -0,0 +1,51 @@
+// /opt/game/server/logger.js
+// Structured JSON logs, one object per line, for PM2 to collect:
+//   {"ts":"…","level":"info","event":"room.join","roomId":"A9F3KQ","team":"A","socketId":"…"}
+// `event` names what happened; roomId / team / socketId tie lines of one room together.
+// LOG_LEVEL=debug|info|warn|error drops everything below it. warn and error go to stderr.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors don't survive JSON.stringify on their own.
+function serializable(fields) {
+  const out = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    out[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+  }
+  return out;
+}
+
+function createLogger({ level = "info", write } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  const sink =
+    write ||
+    ((lvl, line) => {
+      if (LEVELS[lvl] >= LEVELS.warn) process.stderr.write(`${line}\n`);
+      else process.stdout.write(`${line}\n`);
+    });
+
+  function log(lvl, event, fields = {}) {
+    if (LEVELS[lvl] < threshold) return;
+    const entry = { ts: new Date().toISOString(), level: lvl, event, ...serializable(fields) };
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (e) {
+      line = JSON.stringify({ ts: entry.ts, level: lvl, event, logError: e.message });
+    }
+    sink(lvl, line);
+  }
+
+  return {
+    debug: (event, fields) => log("debug", event, fields),
+    info: (event, fields) => log("info", event, fields),
+    warn: (event, fields) => log("warn", event, fields),
+    error: (event, fields) => log("error", event, fields),
+  };
+}
+
+// the process-wide logger every server module shares
+const logger = createLogger({ level: process.env.LOG_LEVEL || "info" });
+
+module.exports = { logger, createLogger, LEVELS };
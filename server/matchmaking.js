@@ -0,0 +1,75 @@
+// /opt/game/server/matchmaking.js
+// Matchmaking queue, kept free of sockets and rooms: index.js feeds it entries and seats the pairs.
+// Casual and rated players wait in separate pools. Casual pairs first-come first-served; rated
+// pairs only within a rating band that widens the longer a player waits.
+
+function createMatchQueue({ bandStart, bandStep, bandIntervalMs }) {
+  // entry: { socketId, userId, rated, rating, joinedAt }, oldest first
+  let entries = [];
+
+  function band(entry, now) {
+    return bandStart + Math.floor((now - entry.joinedAt) / bandIntervalMs) * bandStep;
+  }
+
+  function compatible(a, b, now) {
+    if (a.rated !== b.rated) return false;
+    if (a.userId && a.userId === b.userId) return false; // two tabs of one account
+    if (!a.rated) return true;
+    return Math.abs(a.rating - b.rating) <= Math.max(band(a, now), band(b, now));
+  }
+
+  function add(entry) {
+    remove(entry.socketId);
+    entries.push(entry);
+    entries.sort((a, b) => a.joinedAt - b.joinedAt);
+  }
+
+  function remove(socketId) {
+    const before = entries.length;
+    entries = entries.filter((e) => e.socketId !== socketId);
+    return entries.length !== before;
+  }
+
+  // Removes and returns every pair that can be matched right now.
+  function takePairs(now = Date.now()) {
+    const pairs = [];
+    const matched = new Set();
+    entries.forEach((a, i) => {
+      if (matched.has(a)) return;
+      const b = entries.slice(i + 1).find((e) => !matched.has(e) && compatible(a, e, now));
+      if (!b) return;
+      matched.add(a);
+      matched.add(b);
+      pairs.push([a, b]);
+    });
+    entries = entries.filter((e) => !matched.has(e));
+    return pairs;
+  }
+
+  function status(socketId, now = Date.now()) {
+    const entry = entries.find((e) => e.socketId === socketId);
+    if (!entry) return null;
+    const pool = entries.filter((e) => e.rated === entry.rated);
+    return {
+      rated: entry.rated,
+      position: pool.indexOf(entry) + 1,
+      size: pool.length,
+      waitMs: now - entry.joinedAt,
+      band: entry.rated ? band(entry, now) : null,
+    };
+  }
+
+  return {
+    add,
+    remove,
+    takePairs,
+    status,
+    has: (socketId) => entries.some((e) => e.socketId === socketId),
+    socketIds: () => entries.map((e) => e.socketId),
+    get size() {
+      return entries.length;
+    },
+  };
+}
+
+module.exports = { createMatchQueue };
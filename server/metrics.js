@@ -0,0 +1,90 @@
+// /opt/game/server/metrics.js
+// Minimal Prometheus registry (text exposition format 0.0.4): counters, gauges read at scrape
+// time, and histograms, each with optional labels. Enough for /api/metrics without a dependency.
+
+function labelText(labels) {
+  const keys = Object.keys(labels || {});
+  if (!keys.length) return "";
+  const body = keys.map((k) => `${k}="${String(labels[k]).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`);
+  return `{${body.join(",")}}`;
+}
+
+// one series per distinct label set
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels || {}).sort());
+}
+
+function createMetrics(prefix = "") {
+  const families = [];
+
+  function header(name, help, type) {
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  }
+
+  function counter(name, help) {
+    const full = prefix + name;
+    const series = new Map(); // key -> { labels, value }
+    families.push(() => [
+      ...header(full, help, "counter"),
+      // an untouched counter still reports 0, so rate() works from the first scrape
+      ...(series.size ? Array.from(series.values(), (s) => `${full}${labelText(s.labels)} ${s.value}`) : [`${full} 0`]),
+    ]);
+    return {
+      inc(labels = {}, n = 1) {
+        const key = seriesKey(labels);
+        const s = series.get(key) || { labels, value: 0 };
+        s.value += n;
+        series.set(key, s);
+      },
+    };
+  }
+
+  // collect() -> number | [{ labels, value }], called on every scrape
+  function gauge(name, help, collect) {
+    const full = prefix + name;
+    families.push(() => {
+      const value = collect();
+      const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+      return [...header(full, help, "gauge"), ...samples.map((s) => `${full}${labelText(s.labels)} ${s.value}`)];
+    });
+  }
+
+  function histogram(name, help, buckets) {
+    const full = prefix + name;
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map(); // key -> { labels, counts[], sum, count }
+    families.push(() => {
+      const lines = header(full, help, "histogram");
+      series.forEach((s) => {
+        let cumulative = 0;
+        bounds.forEach((le, i) => {
+          cumulative += s.counts[i];
+          lines.push(`${full}_bucket${labelText({ ...s.labels, le })} ${cumulative}`);
+        });
+        lines.push(`${full}_bucket${labelText({ ...s.labels, le: "+Inf" })} ${s.count}`);
+        lines.push(`${full}_sum${labelText(s.labels)} ${s.sum}`);
+        lines.push(`${full}_count${labelText(s.labels)} ${s.count}`);
+      });
+      return lines;
+    });
+    return {
+      observe(value, labels = {}) {
+        const key = seriesKey(labels);
+        const s = series.get(key) || { labels, counts: bounds.map(() => 0), sum: 0, count: 0 };
+        const i = bounds.findIndex((le) => value <= le);
+        if (i >= 0) s.counts[i]++;
+        s.sum += value;
+        s.count++;
+        series.set(key, s);
+      },
+    };
+  }
+
+  function render() {
+    return `${families.flatMap((family) => family()).join("\n")}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,111 @@
+// /opt/game/server/nash.js
+// Mixed-strategy Nash equilibria of a small bimatrix game via support enumeration.
+// A[i][j] is the row player's payoff, B[i][j] the column player's payoff.
+// Boards here are at most a handful of rows/cols, so brute force over supports is cheap.
+
+const EPS = 1e-9;
+
+function subsets(n) {
+  const out = [];
+  for (let mask = 1; mask < 1 << n; mask++) {
+    const idx = [];
+    for (let i = 0; i < n; i++) if (mask & (1 << i)) idx.push(i);
+    out.push(idx);
+  }
+  return out;
+}
+
+// Gaussian elimination with partial pivoting. Returns null for singular systems.
+function solveLinear(M, rhs) {
+  const n = rhs.length;
+  const a = M.map((row, i) => [...row, rhs[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    }
+    if (Math.abs(a[pivot][col]) < EPS) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = a[r][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[r][k] -= f * a[col][k];
+    }
+  }
+  return a.map((row, i) => row[n] / row[i]);
+}
+
+// Find the opponent mix over `support` that makes every strategy in `own` indifferent.
+// payoff(i, j) is the payoff of own strategy i against opponent strategy j.
+// Unknowns: one probability per support entry + the common value v.
+function indifferenceMix(own, support, payoff) {
+  const k = support.length;
+  const M = [];
+  const rhs = [];
+  own.forEach((i) => {
+    M.push([...support.map((j) => payoff(i, j)), -1]);
+    rhs.push(0);
+  });
+  M.push([...support.map(() => 1), 0]);
+  rhs.push(1);
+  const sol = solveLinear(M, rhs);
+  if (!sol) return null;
+  const probs = sol.slice(0, k);
+  if (probs.some((x) => x < -EPS)) return null;
+  return { probs: probs.map((x) => Math.max(0, x)), value: sol[k] };
+}
+
+function expand(n, support, probs) {
+  const full = new Array(n).fill(0);
+  support.forEach((idx, k) => (full[idx] = probs[k]));
+  return full;
+}
+
+function solveBimatrix(A, B) {
+  const rows = A.length;
+  const cols = A[0].length;
+  const rowPayoff = (i, q) => q.reduce((s, qj, j) => s + qj * A[i][j], 0);
+  const colPayoff = (j, p) => p.reduce((s, pi, i) => s + pi * B[i][j], 0);
+
+  const equilibria = [];
+  const rowSupports = subsets(rows);
+  const colSupports = subsets(cols);
+
+  for (const I of rowSupports) {
+    for (const J of colSupports) {
+      if (I.length !== J.length) continue;
+
+      // q (column mix) keeps the row player indifferent across I, p keeps the column player indifferent across J
+      const qSol = indifferenceMix(I, J, (i, j) => A[i][j]);
+      if (!qSol) continue;
+      const pSol = indifferenceMix(J, I, (j, i) => B[i][j]);
+      if (!pSol) continue;
+
+      const q = expand(cols, J, qSol.probs);
+      const p = expand(rows, I, pSol.probs);
+
+      // no profitable deviation outside the supports
+      let stable = true;
+      for (let i = 0; i < rows && stable; i++) {
+        if (rowPayoff(i, q) > qSol.value + 1e-7) stable = false;
+      }
+      for (let j = 0; j < cols && stable; j++) {
+        if (colPayoff(j, p) > pSol.value + 1e-7) stable = false;
+      }
+      if (!stable) continue;
+
+      equilibria.push({ p, q, payoffA: qSol.value, payoffB: pSol.value });
+    }
+  }
+
+  return equilibria;
+}
+
+function boardMatrices(board) {
+  return {
+    A: board.map((row) => row.map((cell) => cell.a)),
+    B: board.map((row) => row.map((cell) => cell.b)),
+  };
+}
+
+module.exports = { solveBimatrix, boardMatrices };
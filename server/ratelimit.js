@@ -0,0 +1,81 @@
+// /opt/game/server/ratelimit.js
+// Token buckets keyed by anything (a socket id, an IP...), plus temporary bans for clients that
+// keep hitting their limits. Kept free of sockets and HTTP: index.js decides what is limited.
+//   take(key, { burst, perSec, cost }) -> { ok: true } | { ok: false, retryAfterMs }
+//   strike(client, limit = banStrikes) -> true when this strike bans `client` for banMs
+//   bannedFor(client) -> ms left on the ban, 0 if none
+// A bucket starts full and refills continuously; entries are dropped once they are full again,
+// so idle keys cost nothing.
+
+const SWEEP_MS = 30_000;
+
+function createRateLimiter({ banStrikes, banWindowMs, banMs, now = Date.now }) {
+  const buckets = new Map(); // key -> { tokens, at, fullAt }
+  const offenders = new Map(); // client -> { strikes, since, bannedUntil }
+
+  function take(key, { burst, perSec, cost = 1 }) {
+    const t = now();
+    const bucket = buckets.get(key) || { tokens: burst, at: t };
+    bucket.tokens = Math.min(burst, bucket.tokens + ((t - bucket.at) / 1000) * perSec);
+    bucket.at = t;
+    const ok = bucket.tokens >= cost;
+    if (ok) bucket.tokens -= cost;
+    bucket.fullAt = t + ((burst - bucket.tokens) / perSec) * 1000;
+    buckets.set(key, bucket);
+    return ok ? { ok } : { ok, retryAfterMs: Math.ceil(((cost - bucket.tokens) / perSec) * 1000) };
+  }
+
+  function bannedFor(client) {
+    const entry = offenders.get(client);
+    return entry ? Math.max(0, entry.bannedUntil - now()) : 0;
+  }
+
+  // strikes older than banWindowMs are forgotten; `limit` strikes within it earn a ban
+  function strike(client, limit = banStrikes) {
+    const t = now();
+    let entry = offenders.get(client);
+    if (!entry || t - entry.since > banWindowMs) {
+      entry = { strikes: 0, since: t, bannedUntil: entry ? entry.bannedUntil : 0 };
+      offenders.set(client, entry);
+    }
+    entry.strikes++;
+    if (!limit || entry.strikes < limit) return false;
+    entry.strikes = 0;
+    entry.since = t;
+    entry.bannedUntil = t + banMs;
+    return true;
+  }
+
+  // a key that is gone for good (a closed socket): its bucket and strikes
+  function forget(key) {
+    buckets.delete(key);
+    offenders.delete(key);
+  }
+
+  function sweep() {
+    const t = now();
+    buckets.forEach((bucket, key) => {
+      if (bucket.fullAt <= t) buckets.delete(key);
+    });
+    offenders.forEach((entry, client) => {
+      if (entry.bannedUntil <= t && t - entry.since > banWindowMs) offenders.delete(client);
+    });
+  }
+  const sweeper = setInterval(sweep, SWEEP_MS);
+  sweeper.unref();
+
+  return {
+    take,
+    strike,
+    bannedFor,
+    forget,
+    sweep,
+    get size() {
+      return buckets.size + offenders.size;
+    },
+    bans: () => Array.from(offenders.values()).filter((entry) => entry.bannedUntil > now()).length,
+    close: () => clearInterval(sweeper),
+  };
+}
+
+module.exports = { createRateLimiter };
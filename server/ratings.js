@@ -0,0 +1,100 @@
+// /opt/game/server/ratings.js
+// Elo ratings for rated rooms. Only registered accounts are rated; guests and the AI never are.
+// Each rated game updates both players' user records and appends one history event per player.
+
+const RESULT_SCORE = { win: 1, draw: 0.5, loss: 0 };
+
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+function resultFor(team, winner) {
+  if (winner === "DRAW") return "draw";
+  return winner === team ? "win" : "loss";
+}
+
+function ratedPlayer(user, initial) {
+  return {
+    rating: user.rating ?? initial,
+    ratedGames: user.ratedGames || 0,
+    wins: user.wins || 0,
+    losses: user.losses || 0,
+    draws: user.draws || 0,
+  };
+}
+
+function createRatings(store, { k, initial }) {
+  function playerSummary(user) {
+    return { id: user.id, name: user.username, ...ratedPlayer(user, initial) };
+  }
+
+  // users: room.users ({ A, B } public identities). Returns per-team changes, or null when unrated.
+  function rateGame({ gameId, users, winner }) {
+    const accounts = { A: users.A && store.getUser(users.A.id), B: users.B && store.getUser(users.B.id) };
+    if (!accounts.A || !accounts.B || accounts.A.guest || accounts.B.guest) return null;
+    if (accounts.A.id === accounts.B.id) return null;
+
+    const before = { A: ratedPlayer(accounts.A, initial).rating, B: ratedPlayer(accounts.B, initial).rating };
+    const at = Date.now();
+    const changes = {};
+
+    ["A", "B"].forEach((team) => {
+      const other = team === "A" ? "B" : "A";
+      const result = resultFor(team, winner);
+      const delta = Math.round(k * (RESULT_SCORE[result] - expectedScore(before[team], before[other])));
+      const stats = ratedPlayer(accounts[team], initial);
+      const after = before[team] + delta;
+
+      store.saveUser({
+        ...accounts[team],
+        rating: after,
+        ratedGames: stats.ratedGames + 1,
+        wins: stats.wins + (result === "win" ? 1 : 0),
+        losses: stats.losses + (result === "loss" ? 1 : 0),
+        draws: stats.draws + (result === "draw" ? 1 : 0),
+      });
+      store.appendRatingEvent({
+        userId: accounts[team].id,
+        gameId,
+        at,
+        team,
+        opponent: { id: accounts[other].id, name: accounts[other].username, rating: before[other] },
+        result,
+        before: before[team],
+        after,
+        delta,
+      });
+      changes[team] = { userId: accounts[team].id, before: before[team], after, delta };
+    });
+    return changes;
+  }
+
+  function leaderboard({ offset = 0, limit = 20 } = {}) {
+    const ranked = store
+      .listUsers()
+      .filter((u) => !u.guest && u.ratedGames > 0)
+      .map(playerSummary)
+      .sort((a, b) => b.rating - a.rating || b.ratedGames - a.ratedGames);
+    return {
+      total: ranked.length,
+      offset,
+      limit,
+      players: ranked.slice(offset, offset + limit).map((p, i) => ({ rank: offset + i + 1, ...p })),
+    };
+  }
+
+  function currentRating(userId) {
+    const user = store.getUser(userId);
+    return user ? ratedPlayer(user, initial).rating : initial;
+  }
+
+  function history(userId, { limit } = {}) {
+    const user = store.getUser(userId);
+    if (!user || user.guest) return null;
+    return { player: playerSummary(user), history: store.listRatingEvents(userId, { limit }) };
+  }
+
+  return { rateGame, leaderboard, history, currentRating };
+}
+
+module.exports = { createRatings };
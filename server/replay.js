@@ -0,0 +1,64 @@
+// /opt/game/server/replay.js
+// Archived game record -> replay JSON (replayVersion 1), the same shape the client downloads.
+
+function buildReplayRounds(history) {
+  return (history || []).map((r) => {
+    const boardNumbers = (r.board || []).map((row, ri) =>
+      row.map((cell, ci) => ({
+        row: ri,
+        col: ci,
+        a: cell?.a ?? 0,
+        b: cell?.b ?? 0,
+      }))
+    );
+
+    const pickedRow = r?.picks?.A ?? null;
+    const pickedCol = r?.picks?.B ?? null;
+    const chosenCell =
+      pickedRow !== null && pickedCol !== null && !r.forfeit ? r.board?.[pickedRow]?.[pickedCol] : null;
+
+    return {
+      round: r.round,
+      ...(r.seed !== undefined ? { seed: r.seed } : {}),
+      ...(r.fairness ? { fairness: r.fairness } : {}),
+      boardNumbers,
+      picks: {
+        A: { row: pickedRow, label: pickedRow !== null ? `行 ${pickedRow + 1}` : null },
+        B: { col: pickedCol, label: pickedCol !== null ? `列 ${pickedCol + 1}` : null },
+      },
+      chosenCell: chosenCell ? { row: pickedRow, col: pickedCol, a: chosenCell.a, b: chosenCell.b } : null,
+      delta: r.delta,
+      scoresAfter: r.scoresAfter,
+      ...(r.forfeit ? { forfeit: r.forfeit } : {}),
+      ...(r.timedOut ? { timedOut: r.timedOut } : {}),
+      ...(r.commitReveal ? { commitReveal: r.commitReveal } : {}),
+    };
+  });
+}
+
+function buildReplay(record) {
+  const replay = {
+    gameId: record.id,
+    roomId: record.roomId,
+    startedAt: record.startedAt ? new Date(record.startedAt).toISOString() : null,
+    finishedAt: new Date(record.finishedAt).toISOString(),
+    finalScores: record.finalScores,
+    winner: record.winner,
+    totalRounds: record.history.length,
+    rules: record.rules || null,
+    players: record.players || null,
+    bot: record.bot || null,
+    replayVersion: 1,
+    rounds: buildReplayRounds(record.history),
+  };
+  if (record.seed !== undefined) replay.seed = record.seed;
+  if (record.forfeit) replay.forfeit = record.forfeit;
+  if (record.forfeitReason) replay.forfeitReason = record.forfeitReason;
+  if (record.ratings) replay.ratings = record.ratings;
+  if (record.commitReveal) {
+    replay.protocol = { type: "commit-reveal", hash: "sha256", preimage: "roomId:round:team:pick:nonce" };
+  }
+  return replay;
+}
+
+module.exports = { buildReplay };
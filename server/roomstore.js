@@ -0,0 +1,132 @@
+// /opt/game/server/roomstore.js
+// Where rooms live. Each instance keeps the rooms it owns as live objects (timers and all), behind
+// the same surface as a Map: get / has / set / delete / values / entries / forEach / size.
+// On top of that, a directory every instance can read:
+//   reserve(id) -> Promise<bool>   claim a fresh room id (unique across instances in cluster mode)
+//   claim(id) -> Promise<bool>     take back an id this instance owned before a restart
+//   publish(id, entry)             what the lobby / other instances see of an owned room
+//   locate(id) -> Promise<{ owner, parked? }|null>
+//   list() -> Promise<[{ owner, ...entry }]>
+//   park() -> Promise                shutdown: keep owned ids reserved while this instance restarts
+// The local store keeps the directory in memory; the shared one keeps it in the hub (hub.js), where
+// entries expire unless their owner keeps refreshing them, so a dead instance's rooms drop out.
+
+const { logger } = require("./logger");
+
+const ENTRY_TTL_MS = 30_000;
+const PARK_TTL_MS = 5 * 60_000; // how long a restarting instance's rooms stay reserved
+
+function ownedRooms() {
+  const owned = new Map();
+  return {
+    owned,
+    get: (id) => owned.get(id),
+    has: (id) => owned.has(id),
+    values: () => owned.values(),
+    entries: () => owned.entries(),
+    forEach: (fn) => owned.forEach(fn),
+  };
+}
+
+function createLocalRoomStore(instanceId) {
+  const base = ownedRooms();
+  const reserved = new Set(); // ids handed out by reserve() but not set() yet
+  const entries = new Map();
+
+  return {
+    ...base,
+    get size() {
+      return base.owned.size;
+    },
+    set(id, room) {
+      reserved.delete(id);
+      base.owned.set(id, room);
+    },
+    delete(id) {
+      entries.delete(id);
+      return base.owned.delete(id);
+    },
+    reserve(id) {
+      if (base.owned.has(id) || reserved.has(id)) return Promise.resolve(false);
+      reserved.add(id);
+      return Promise.resolve(true);
+    },
+    claim: () => Promise.resolve(true),
+    publish(id, entry) {
+      if (base.owned.has(id)) entries.set(id, entry);
+    },
+    locate: (id) => Promise.resolve(base.owned.has(id) ? { owner: instanceId } : null),
+    list: () => Promise.resolve(Array.from(entries.values(), (entry) => ({ owner: instanceId, ...entry }))),
+    park: () => Promise.resolve(),
+  };
+}
+
+function createSharedRoomStore({ hub, instanceId, ttlMs = ENTRY_TTL_MS }) {
+  const base = ownedRooms();
+  const entries = new Map(); // last published entry per owned room
+  const key = (id) => `room:${id}`;
+
+  function write(id, ttl = ttlMs) {
+    return hub.set(key(id), { owner: instanceId, ...(entries.get(id) || {}) }, { ttlMs: ttl }).catch((e) =>
+      logger.warn("cluster.publishFailed", { roomId: id, error: e.message })
+    );
+  }
+
+  // keeps owned entries alive, and puts them back after a hub restart
+  function refreshAll() {
+    base.owned.forEach((_, id) => write(id));
+  }
+  const refresher = setInterval(refreshAll, Math.floor(ttlMs / 3));
+  refresher.unref();
+  hub.onReconnect(refreshAll);
+
+  return {
+    ...base,
+    get size() {
+      return base.owned.size;
+    },
+    set(id, room) {
+      base.owned.set(id, room);
+      write(id);
+    },
+    delete(id) {
+      entries.delete(id);
+      hub.del(key(id)).catch((e) => logger.warn("cluster.publishFailed", { roomId: id, error: e.message }));
+      return base.owned.delete(id);
+    },
+    reserve: (id) => hub.setnx(key(id), { owner: instanceId }, { ttlMs }),
+    async claim(id) {
+      if (await hub.setnx(key(id), { owner: instanceId }, { ttlMs })) return true;
+      const entry = await hub.get(key(id));
+      return !entry || entry.owner === instanceId;
+    },
+    publish(id, entry) {
+      if (!base.owned.has(id)) return;
+      entries.set(id, entry);
+      write(id);
+    },
+    async locate(id) {
+      if (base.owned.has(id)) return { owner: instanceId };
+      const entry = await hub.get(key(id));
+      return entry ? { owner: entry.owner, parked: !!entry.parked } : null;
+    },
+    async list() {
+      const found = await hub.scan("room:");
+      return found.map(({ value }) => value).filter((entry) => entry.listing);
+    },
+    // entries stop being refreshed and get a long TTL, so nobody takes the ids before the
+    // restarted instance claims them back (its fresh entries drop the `parked` mark)
+    park() {
+      clearInterval(refresher);
+      return Promise.all(
+        Array.from(base.owned.keys(), (id) => {
+          entries.set(id, { ...(entries.get(id) || {}), parked: true });
+          return write(id, PARK_TTL_MS);
+        })
+      );
+    },
+    close: () => clearInterval(refresher),
+  };
+}
+
+module.exports = { createLocalRoomStore, createSharedRoomStore };
@@ -0,0 +1,62 @@
+// /opt/game/server/rules.js
+// Per-room ruleset: board size, number of rounds, the payoff range of every cell value and the board mode.
+// boardMode "regenerate" deals a fresh board every round; "persistent" deals one board per game and
+// marks every played cell `used`, and a used cell can't be played again.
+// Rooms created without rules (and rooms restored from before rulesets existed) get DEFAULT_RULES.
+
+const DEFAULT_RULES = Object.freeze({ rows: 3, cols: 3, rounds: 9, minValue: -60, maxValue: 60, boardMode: "regenerate" });
+const BOARD_MODES = ["regenerate", "persistent"];
+
+const LIMITS = {
+  rows: [2, 6],
+  cols: [2, 6],
+  rounds: [1, 30],
+  value: [-999, 999],
+};
+const MIN_SPAN = 10; // maxValue - minValue
+
+function intIn(v, [min, max]) {
+  return Number.isInteger(v) && v >= min && v <= max;
+}
+
+// body.rules -> { rules } | { error }. Missing fields fall back to the defaults.
+function parseRules(input) {
+  if (input === undefined || input === null) return { rules: { ...DEFAULT_RULES } };
+  if (typeof input !== "object") return { error: "规则格式错误" };
+
+  const rules = { ...DEFAULT_RULES };
+  for (const key of Object.keys(DEFAULT_RULES)) {
+    if (input[key] !== undefined) rules[key] = key === "boardMode" ? String(input[key]) : Number(input[key]);
+  }
+
+  if (!intIn(rules.rows, LIMITS.rows) || !intIn(rules.cols, LIMITS.cols)) {
+    return { error: `棋盘行列数需为 ${LIMITS.rows[0]}-${LIMITS.rows[1]} 的整数` };
+  }
+  if (!intIn(rules.rounds, LIMITS.rounds)) return { error: `回合数需为 ${LIMITS.rounds[0]}-${LIMITS.rounds[1]} 的整数` };
+  if (!intIn(rules.minValue, LIMITS.value) || !intIn(rules.maxValue, LIMITS.value)) {
+    return { error: `分值需为 ${LIMITS.value[0]} 到 ${LIMITS.value[1]} 的整数` };
+  }
+  if (rules.maxValue - rules.minValue < MIN_SPAN) return { error: `分值上下限至少相差 ${MIN_SPAN}` };
+  if (!BOARD_MODES.includes(rules.boardMode)) return { error: "未知的棋盘模式" };
+  // every round uses up a cell, so the board must outlast the game
+  if (rules.boardMode === "persistent" && rules.rounds > rules.rows * rules.cols) {
+    return { error: "持久棋盘模式的回合数不能超过格子数" };
+  }
+
+  return { rules };
+}
+
+function isDefaultRules(rules) {
+  return Object.keys(DEFAULT_RULES).every((key) => rules[key] === DEFAULT_RULES[key]);
+}
+
+function isPersistent(rules) {
+  return rules.boardMode === "persistent";
+}
+
+// Number of options for a team: A picks one of `rows`, B one of `cols`.
+function optionCount(rules, team) {
+  return team === "A" ? rules.rows : rules.cols;
+}
+
+module.exports = { DEFAULT_RULES, parseRules, isDefaultRules, isPersistent, optionCount };
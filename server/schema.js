@@ -0,0 +1,154 @@
+// /opt/game/server/schema.js
+// Shapes of everything clients send: socket event payloads (EVENTS) and REST bodies (BODIES).
+// check(schema, input) never throws. It returns { value } holding only the declared fields (strings
+// trimmed, defaults filled in), or { error: { code, field, message } }:
+//   INVALID_PAYLOAD  the payload / body is not an object
+//   MISSING_FIELD    a required field is absent or empty
+//   INVALID_FIELD    a field has the wrong type, size or value
+// Only types and sizes live here; game rules (rules.js, accounts.js, submitPick...) are checked where they apply.
+
+const { BOT_STRATEGIES } = require("./bot");
+
+function fail(code, field, message) {
+  return { error: { code, field: field || null, message } };
+}
+
+function isPlainObject(input) {
+  return Object.prototype.toString.call(input) === "[object Object]";
+}
+
+// --------------------- Types ---------------------
+// A type is (input, field) -> { value } | { error }.
+function string({ max, min = 0, trim = true, upper = false, message }) {
+  return (input, field) => {
+    if (typeof input !== "string") return fail("INVALID_FIELD", field, message);
+    let value = trim ? input.trim() : input;
+    if (upper) value = value.toUpperCase();
+    if (value.length < min || value.length > max) return fail("INVALID_FIELD", field, message);
+    return { value };
+  };
+}
+
+function int({ min = Number.MIN_SAFE_INTEGER, max = Number.MAX_SAFE_INTEGER, message }) {
+  return (input, field) =>
+    Number.isInteger(input) && input >= min && input <= max ? { value: input } : fail("INVALID_FIELD", field, message);
+}
+
+function bool(message) {
+  return (input, field) => (typeof input === "boolean" ? { value: input } : fail("INVALID_FIELD", field, message));
+}
+
+function oneOf(values, message) {
+  return (input, field) => (values.includes(input) ? { value: input } : fail("INVALID_FIELD", field, message));
+}
+
+// Passed through as is, for nested input another module parses (rules.js).
+function anyObject(message) {
+  return (input, field) => (isPlainObject(input) ? { value: input } : fail("INVALID_FIELD", field, message));
+}
+
+// A missing payload counts as {}: events like leaveQueue carry none.
+function object(fields, message = "请求格式错误") {
+  return (input = {}, field) => {
+    if (input === null) input = {};
+    if (!isPlainObject(input)) return fail(field ? "INVALID_FIELD" : "INVALID_PAYLOAD", field, message);
+    const value = {};
+    for (const [key, type] of Object.entries(fields)) {
+      const result = type(input[key], field ? `${field}.${key}` : key);
+      if (result.error) return result;
+      if (result.value !== undefined) value[key] = result.value;
+    }
+    return { value };
+  };
+}
+
+function absent(input) {
+  return input === undefined || input === null;
+}
+
+function optional(type, fallback) {
+  return (input, field) => (absent(input) ? { value: fallback } : type(input, field));
+}
+
+function required(type, message) {
+  return (input, field) =>
+    absent(input) || (typeof input === "string" && !input.trim()) ? fail("MISSING_FIELD", field, message) : type(input, field);
+}
+
+function check(schema, input) {
+  return schema(input, null);
+}
+
+// --------------------- Socket events ---------------------
+const roomId = required(string({ max: 16, upper: true, message: "房间号格式错误" }), "房间号不能为空");
+const team = (message) => oneOf(["A", "B"], message);
+
+const EVENTS = {
+  joinRoom: object({
+    roomId,
+    team: required(team("队伍必须是 A 或 B"), "队伍必须是 A 或 B"),
+    token: optional(string({ max: 128, message: "座位令牌格式错误" })),
+  }),
+  watchRoom: object({ roomId }),
+  // the range depends on the room's board, submitPick checks it
+  pickRow: object({ roomId, row: required(int({ message: "行必须是整数" }), "请选择一行") }),
+  pickCol: object({ roomId, col: required(int({ message: "列必须是整数" }), "请选择一列") }),
+  commitPick: object({ roomId, commitment: required(string({ max: 64, message: "承诺格式错误（需为 sha256 十六进制）" }), "承诺不能为空") }),
+  revealPick: object({
+    roomId,
+    pick: required(int({ message: "揭示的选择必须是整数" }), "揭示的选择不能为空"),
+    nonce: required(string({ max: 128, trim: false, message: "随机数格式错误" }), "随机数不能为空"),
+  }),
+  leaveRoom: object({ roomId }),
+  restartGame: object({ roomId }),
+  joinQueue: object({ rated: optional(bool("rated 需为布尔值"), false) }),
+  leaveQueue: object({}),
+};
+
+// --------------------- REST bodies ---------------------
+const BODIES = {
+  createRoom: object({
+    bot: optional(
+      object(
+        {
+          strategy: required(oneOf(BOT_STRATEGIES, "未知的 AI 难度"), "未知的 AI 难度"),
+          team: optional(team("AI 队伍必须是 A 或 B"), "B"),
+        },
+        "AI 设置格式错误"
+      ),
+      null
+    ),
+    commitReveal: optional(bool("commitReveal 需为布尔值"), false),
+    rated: optional(bool("rated 需为布尔值"), false),
+    rules: optional(anyObject("规则格式错误")),
+  }),
+  board: object({
+    seed: required(int({ min: 0, max: 0xffffffff, message: "seed 需为 0-4294967295 的整数" }), "seed 需为 0-4294967295 的整数"),
+    rules: optional(anyObject("规则格式错误")),
+    scores: optional(
+      object(
+        {
+          A: optional(int({ min: -1e6, max: 1e6, message: "比分需为整数" }), 0),
+          B: optional(int({ min: -1e6, max: 1e6, message: "比分需为整数" }), 0),
+        },
+        "比分格式错误"
+      ),
+      { A: 0, B: 0 }
+    ),
+  }),
+  // name and password rules live in accounts.js
+  register: object({
+    username: required(string({ max: 64, message: "用户名需为 2-16 位字母、数字、下划线或汉字" }), "用户名不能为空"),
+    password: required(string({ max: 256, trim: false, message: "密码格式错误" }), "密码不能为空"),
+  }),
+  login: object({
+    username: required(string({ max: 64, message: "用户名或密码错误" }), "用户名不能为空"),
+    password: required(string({ max: 256, trim: false, message: "用户名或密码错误" }), "密码不能为空"),
+  }),
+  guest: object({ name: optional(string({ max: 64, message: "昵称需为 2-16 位字母、数字、下划线或汉字" })) }),
+  adminClose: object({ message: optional(string({ max: 200, message: "关闭说明最多 200 个字符" })) }),
+  adminKick: object({ team: required(team("team 需为 A 或 B"), "team 需为 A 或 B") }),
+  broadcast: object({ message: required(string({ min: 1, max: 500, message: "公告内容需为 1-500 个字符" }), "公告内容需为 1-500 个字符") }),
+};
+
+module.exports = { check, EVENTS, BODIES };
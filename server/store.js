@@ -0,0 +1,221 @@
+// /opt/game/server/store.js
+// Pluggable persistence for rooms and finished games.
+// STORE_DRIVER=file (default) keeps JSON files under DATA_DIR, STORE_DRIVER=memory keeps nothing across restarts.
+// `shared`: other instances write to the same DATA_DIR (cluster mode), so the file driver re-reads
+// users from disk instead of trusting its cache and picks up games archived elsewhere.
+//
+// A driver is any object with:
+//   loadRooms() -> snapshot[]          saveRoom(snapshot)        deleteRoom(id)
+//   archiveGame(record)                getGame(id) -> record|null    loadGame(id) -> Promise<record|null>
+//   listGames({ roomId, limit }) -> summary[] (newest first)
+//   saveUser(user)                     getUser(id) -> user|null      findUserByName(name) -> user|null
+//   saveSession(session)               getSession(id) -> session|null  deleteSession(id)
+//   listUsers() -> user[]              deleteUser(id)                listSessions() -> session[]
+//   appendRatingEvent(event)           listRatingEvents(userId, { limit }) -> event[] (newest first)
+
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+function gameSummary(record) {
+  return {
+    id: record.id,
+    roomId: record.roomId,
+    startedAt: record.startedAt,
+    finishedAt: record.finishedAt,
+    finalScores: record.finalScores,
+    winner: record.winner,
+    players: record.players || null,
+    totalRounds: record.history.length,
+  };
+}
+
+// usernames are unique case-insensitively
+function nameKey(name) {
+  return String(name).toLowerCase();
+}
+
+function latest(events, limit = 50) {
+  return events.slice(-limit).reverse();
+}
+
+function filterGames(summaries, { roomId, limit = 20 } = {}) {
+  return summaries
+    .filter((g) => !roomId || g.roomId === roomId)
+    .sort((a, b) => b.finishedAt - a.finishedAt)
+    .slice(0, limit);
+}
+
+function memoryDriver() {
+  const rooms = new Map();
+  const games = new Map();
+  const users = new Map();
+  const usersByName = new Map();
+  const sessions = new Map();
+  const ratingEvents = new Map();
+
+  return {
+    loadRooms: () => Array.from(rooms.values()),
+    saveRoom: (snapshot) => rooms.set(snapshot.id, snapshot),
+    deleteRoom: (id) => rooms.delete(id),
+    archiveGame: (record) => games.set(record.id, record),
+    getGame: (id) => games.get(id) || null,
+    loadGame: (id) => Promise.resolve(games.get(id) || null),
+    listGames: (query) => filterGames(Array.from(games.values(), gameSummary), query),
+    saveUser: (user) => {
+      users.set(user.id, user);
+      if (!user.guest) usersByName.set(nameKey(user.username), user.id);
+    },
+    getUser: (id) => users.get(id) || null,
+    findUserByName: (name) => users.get(usersByName.get(nameKey(name))) || null,
+    saveSession: (session) => sessions.set(session.id, session),
+    getSession: (id) => sessions.get(id) || null,
+    deleteSession: (id) => sessions.delete(id),
+    listSessions: () => Array.from(sessions.values()),
+    listUsers: () => Array.from(users.values()),
+    deleteUser: (id) => {
+      const user = users.get(id);
+      if (user && !user.guest) usersByName.delete(nameKey(user.username));
+      users.delete(id);
+    },
+    appendRatingEvent: (event) => {
+      if (!ratingEvents.has(event.userId)) ratingEvents.set(event.userId, []);
+      ratingEvents.get(event.userId).push(event);
+    },
+    listRatingEvents: (userId, { limit } = {}) => latest(ratingEvents.get(userId) || [], limit),
+  };
+}
+
+// write-then-rename so a crash mid-write never leaves half a JSON file behind
+function writeJsonAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, file);
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    logger.warn("store.unreadableFile", { file, error: e.message });
+    return null;
+  }
+}
+
+function readDir(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => readJson(path.join(dir, f)))
+    .filter(Boolean);
+}
+
+// ids are generated server-side, but never let one escape its directory
+function safeName(id) {
+  return String(id).replace(/[^A-Za-z0-9_-]/g, "");
+}
+
+function fileDriver(dir, { shared = false } = {}) {
+  const roomsDir = path.join(dir, "rooms");
+  const gamesDir = path.join(dir, "games");
+  const usersDir = path.join(dir, "users");
+  const sessionsDir = path.join(dir, "sessions");
+  const ratingsDir = path.join(dir, "ratings");
+  [roomsDir, gamesDir, usersDir, sessionsDir, ratingsDir].forEach((d) => fs.mkdirSync(d, { recursive: true }));
+
+  // summaries stay in memory for listing; full records are read on demand
+  const index = new Map(readDir(gamesDir).map((g) => [g.id, gameSummary(g)]));
+  const users = new Map();
+  const usersByName = new Map();
+  function loadUsers() {
+    users.clear();
+    usersByName.clear();
+    readDir(usersDir).forEach((u) => {
+      users.set(u.id, u);
+      if (!u.guest) usersByName.set(nameKey(u.username), u.id);
+    });
+  }
+  loadUsers();
+  const userFile = (id) => path.join(usersDir, `${safeName(id)}.json`);
+  // games are never rewritten, so only files the index hasn't seen need reading
+  function indexNewGames() {
+    fs.readdirSync(gamesDir)
+      .filter((f) => f.endsWith(".json") && !index.has(f.slice(0, -5)))
+      .forEach((f) => {
+        const record = readJson(path.join(gamesDir, f));
+        if (record) index.set(record.id, gameSummary(record));
+      });
+  }
+  const sessionFile = (id) => path.join(sessionsDir, `${safeName(id)}.json`);
+  // one JSON array per player; a player only gains an entry per rated game
+  const ratingFile = (userId) => path.join(ratingsDir, `${safeName(userId)}.json`);
+  const readRatings = (userId) => (fs.existsSync(ratingFile(userId)) ? readJson(ratingFile(userId)) || [] : []);
+
+  return {
+    loadRooms: () => readDir(roomsDir),
+    saveRoom: (snapshot) => writeJsonAtomic(path.join(roomsDir, `${safeName(snapshot.id)}.json`), snapshot),
+    deleteRoom: (id) => fs.rmSync(path.join(roomsDir, `${safeName(id)}.json`), { force: true }),
+    archiveGame: (record) => {
+      writeJsonAtomic(path.join(gamesDir, `${safeName(record.id)}.json`), record);
+      index.set(record.id, gameSummary(record));
+    },
+    getGame: (id) => {
+      if (!index.has(id) && shared) indexNewGames();
+      if (!index.has(id)) return null;
+      return readJson(path.join(gamesDir, `${safeName(id)}.json`));
+    },
+    // for bulk reads (reports), which would otherwise hold up the game loop
+    loadGame: async (id) => {
+      if (!index.has(id) && shared) indexNewGames();
+      if (!index.has(id)) return null;
+      const file = path.join(gamesDir, `${safeName(id)}.json`);
+      try {
+        return JSON.parse(await fs.promises.readFile(file, "utf8"));
+      } catch (e) {
+        logger.warn("store.unreadableFile", { file, error: e.message });
+        return null;
+      }
+    },
+    listGames: (query) => {
+      if (shared) indexNewGames();
+      return filterGames(Array.from(index.values()), query);
+    },
+    saveUser: (user) => {
+      writeJsonAtomic(userFile(user.id), user);
+      users.set(user.id, user);
+      if (!user.guest) usersByName.set(nameKey(user.username), user.id);
+    },
+    getUser: (id) => {
+      if (!shared) return users.get(id) || null;
+      return fs.existsSync(userFile(id)) ? readJson(userFile(id)) : null;
+    },
+    findUserByName: (name) => {
+      if (shared) loadUsers();
+      return users.get(usersByName.get(nameKey(name))) || null;
+    },
+    saveSession: (session) => writeJsonAtomic(sessionFile(session.id), session),
+    getSession: (id) => (fs.existsSync(sessionFile(id)) ? readJson(sessionFile(id)) : null),
+    deleteSession: (id) => fs.rmSync(sessionFile(id), { force: true }),
+    listSessions: () => readDir(sessionsDir),
+    listUsers: () => {
+      if (shared) loadUsers();
+      return Array.from(users.values());
+    },
+    deleteUser: (id) => {
+      const user = users.get(id);
+      if (user && !user.guest) usersByName.delete(nameKey(user.username));
+      users.delete(id);
+      fs.rmSync(userFile(id), { force: true });
+    },
+    appendRatingEvent: (event) => writeJsonAtomic(ratingFile(event.userId), [...readRatings(event.userId), event]),
+    listRatingEvents: (userId, { limit } = {}) => latest(readRatings(userId), limit),
+  };
+}
+
+function createStore({ driver = "file", dir, shared = false } = {}) {
+  if (driver === "memory") return memoryDriver();
+  if (driver === "file") return fileDriver(dir, { shared });
+  throw new Error(`unknown STORE_DRIVER: ${driver}`);
+}
+
+module.exports = { createStore };